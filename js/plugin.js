@@ -1,17 +1,38 @@
 console.log('Eagle File Server Plugin - Starting...');
 
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const net = require('net');
+const dns = require('dns');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
 
 class EagleFileServer {
     constructor() {
         this.isRunning = false;
-        this.port = 8080;
-        this.basePath = '/';
-        this.enableCORS = true;
-        this.server = null;
+        this.servers = []; // HTTP and/or HTTPS listeners, see startHTTPServer()
+        this.httpsError = null; // why HTTPS couldn't start, reported in /health
+        this.configPath = null; // Set on init / first loadConfig
+        this.ownsConfig = false; // true in the instance running the server - the one that creates config.json
+        this.metrics = this.createMetrics(); // counters and histograms for /metrics
+        this.accessLogQueue = { lines: [], flushing: null }; // access log lines waiting to be appended
+        // Where items, folders and tags are read from - a library folder for /lib views
+        this.source = this.instrumentSource(eagle, 'eagle');
+        this.libraryName = null; // set on /lib views, see createLibraryView()
+        this.libraryViews = new Map(); // library name -> server answering /lib/<name>, see getLibraryView()
+        this.applyConfig(EagleFileServer.DEFAULT_CONFIG);
         this.eagleDataPath = null; // Will be set when plugin initializes
+        this.dataPath = null; // Plugin data directory (caches), set on init
+        this.pendingResizes = new Map(); // cache file -> in-flight resize promise
+        this.resizeReads = new Map(); // cache file -> responses sending it right now, see sendResizedImage()
+        this.startedAt = null; // When the HTTP server started listening
+        this.index = this.createIndex(); // In-memory copy of the library, see ensureIndex()
+        this.shuffleBags = new Map(); // client id + filters -> files already drawn, see drawFromBag()
+        this.events = this.createEventHub(); // /events subscribers and recent history, see publishEvent()
     }
 
 
@@ -19,25 +40,623 @@ class EagleFileServer {
         try {
             // Get Eagle library path using the Eagle API (still needed for file serving)
             this.eagleDataPath = eagle.library.path;
+            this.dataPath = await this.resolveDataPath();
+            this.ownsConfig = true;
+            this.applyConfig(await this.loadConfig());
+            this.watchConfig();
             
-            console.log('Starting Eagle File Server...');
-            console.log(`Eagle library path: ${this.eagleDataPath || 'using Eagle API'}`);
+            this.log('info', 'Starting Eagle File Server...');
+            this.log('info', `Eagle library path: ${this.eagleDataPath || 'using Eagle API'}`);
+            this.log('info', `Plugin data path: ${this.dataPath}`);
             
             // Test Eagle API access
             try {
                 const testItems = await eagle.item.get({ ids: [] });
-                console.log(`Eagle API accessible. Found ${testItems?.length || 0} items in library.`);
+                this.log('info', `Eagle API accessible. Found ${testItems?.length || 0} items in library.`);
             } catch (apiError) {
-                console.warn('Eagle API test failed:', apiError.message);
+                this.log('warn', 'Eagle API test failed:', apiError.message);
             }
             
-            this.startHTTPServer();
-            console.log('Eagle File Server ready');
+            // Follow library switches: new paths, a fresh index and caches, and an event for clients
+            eagle.onLibraryChanged(() => {
+                this.log('info', `Eagle library changed to ${eagle.library.path} - resetting item index`);
+                this.eagleDataPath = eagle.library.path;
+                this.index = this.createIndex();
+                this.shuffleBags.clear();
+                this.events.folders = null;
+                this.events.metadataMs = null;
+                // The old library may now be served from disk under /lib, and the new one live
+                this.libraryViews.clear();
+                this.publishEvent('library.switched', {
+                    name: eagle.library.name || null
+                });
+            });
+
+            await this.startHTTPServer();
+            this.log('info', 'Eagle File Server ready');
+
+            // Warm the index so the first request doesn't pay for it
+            this.ensureIndex().catch(error => this.log('warn', 'Initial index build failed:', error.message));
+        } catch (error) {
+            this.log('error', 'Failed to initialize Eagle File Server:', error);
+        }
+    }
+
+    // Directory for plugin data (caches) that survives plugin updates
+    async resolveDataPath() {
+        let baseDir = null;
+        try {
+            baseDir = await eagle.app.getPath('userData');
+        } catch (error) {
+            this.log('warn', 'Could not get Eagle user data path:', error.message);
+        }
+
+        const dataPath = baseDir
+            ? path.join(baseDir, 'eagle-file-server')
+            : path.join(eagle.plugin.path, 'data');
+        await fs.promises.mkdir(dataPath, { recursive: true });
+        return dataPath;
+    }
+
+    // Path of the persisted settings file
+    async getConfigPath() {
+        if (!this.configPath) {
+            this.dataPath = this.dataPath || await this.resolveDataPath();
+            this.configPath = path.join(this.dataPath, 'config.json');
+        }
+        return this.configPath;
+    }
+
+    // Validate raw settings. Invalid or missing fields fall back to the defaults and are reported in errors.
+    normalizeConfig(raw = {}) {
+        const defaults = EagleFileServer.DEFAULT_CONFIG;
+        const config = { ...defaults };
+        const errors = [];
+
+        const port = Number(raw.port);
+        if (raw.port !== undefined) {
+            if (Number.isInteger(port) && port >= 1 && port <= 65535) {
+                config.port = port;
+            } else {
+                errors.push('Port must be a whole number between 1 and 65535');
+            }
+        }
+
+        if (raw.host !== undefined) {
+            // Empty means all interfaces
+            const host = String(raw.host).trim();
+            if (/^[\w\-.:]*$/.test(host)) {
+                config.host = host;
+            } else {
+                errors.push('Bind host must be a hostname or IP address');
+            }
+        }
+
+        if (raw.https !== undefined) {
+            config.https = raw.https === true || raw.https === 'true';
+        }
+
+        const httpsPort = Number(raw.httpsPort);
+        if (raw.httpsPort !== undefined) {
+            if (Number.isInteger(httpsPort) && httpsPort >= 1 && httpsPort <= 65535) {
+                config.httpsPort = httpsPort;
+            } else {
+                errors.push('HTTPS port must be a whole number between 1 and 65535');
+            }
+        }
+
+        if (raw.httpMode !== undefined) {
+            if (['serve', 'redirect', 'off'].includes(raw.httpMode)) {
+                config.httpMode = raw.httpMode;
+            } else {
+                errors.push('HTTP mode must be one of serve, redirect, off');
+            }
+        }
+
+        if (raw.tlsCert !== undefined || raw.tlsKey !== undefined) {
+            // Both PEM files, or neither for the self-signed certificate
+            const tlsCert = String(raw.tlsCert || '').trim();
+            const tlsKey = String(raw.tlsKey || '').trim();
+            if (Boolean(tlsCert) !== Boolean(tlsKey)) {
+                errors.push('Certificate and key files must be set together');
+            } else if ((tlsCert && !path.isAbsolute(tlsCert)) || (tlsKey && !path.isAbsolute(tlsKey))) {
+                errors.push('Certificate and key files must be absolute paths');
+            } else {
+                config.tlsCert = tlsCert;
+                config.tlsKey = tlsKey;
+            }
+        }
+
+        if (config.https && config.httpMode !== 'off' && config.httpsPort === config.port) {
+            errors.push('HTTPS port must differ from the HTTP port unless plain HTTP is off');
+        }
+
+        if (raw.basePath !== undefined) {
+            let basePath = String(raw.basePath).trim() || '/';
+            if (!basePath.startsWith('/')) basePath = '/' + basePath;
+            basePath = basePath.replace(/\/+$/, '') || '/';
+            if (/^[\w\-./~]+$/.test(basePath)) {
+                config.basePath = basePath;
+            } else {
+                errors.push('Base path may only contain letters, digits and - _ . ~ /');
+            }
+        }
+
+        if (raw.galleryPath !== undefined) {
+            // Empty turns the gallery off
+            let galleryPath = String(raw.galleryPath).trim();
+            if (galleryPath) {
+                if (!galleryPath.startsWith('/')) galleryPath = '/' + galleryPath;
+                galleryPath = galleryPath.replace(/\/+$/, '') || '/';
+            }
+            const apiRoutes = (this.routes || []).filter(route => route.name !== 'gallery');
+            if (galleryPath && !/^[\w\-./~]+$/.test(galleryPath)) {
+                errors.push('Gallery path may only contain letters, digits and - _ . ~ /');
+            } else if (galleryPath && (apiRoutes.some(route => route.regex.test(galleryPath)) || /^\/lib(\/|$)/.test(galleryPath))) {
+                errors.push(`Gallery path ${galleryPath} is already used by the API`);
+            } else {
+                config.galleryPath = galleryPath;
+            }
+        }
+
+        if (raw.corsOrigins !== undefined) {
+            const origins = Array.isArray(raw.corsOrigins)
+                ? raw.corsOrigins
+                : String(raw.corsOrigins).split(',');
+            config.corsOrigins = origins.map(origin => String(origin).trim()).filter(origin => origin);
+        }
+
+        const cacheMaxAge = Number(raw.cacheMaxAge);
+        if (raw.cacheMaxAge !== undefined) {
+            if (Number.isInteger(cacheMaxAge) && cacheMaxAge >= 0) {
+                config.cacheMaxAge = cacheMaxAge;
+            } else {
+                errors.push('Cache max-age must be a whole number of seconds');
+            }
+        }
+
+        const defaultListLimit = Number(raw.defaultListLimit);
+        if (raw.defaultListLimit !== undefined) {
+            if (Number.isInteger(defaultListLimit) && defaultListLimit >= 1 &&
+                defaultListLimit <= EagleFileServer.MAX_LIST_LIMIT) {
+                config.defaultListLimit = defaultListLimit;
+            } else {
+                errors.push(`Default list limit must be a whole number between 1 and ${EagleFileServer.MAX_LIST_LIMIT}`);
+            }
+        }
+
+        if (raw.requireAuth !== undefined) {
+            config.requireAuth = raw.requireAuth === true || raw.requireAuth === 'true';
+        }
+
+        if (raw.apiKeys !== undefined) {
+            if (Array.isArray(raw.apiKeys)) {
+                config.apiKeys = raw.apiKeys
+                    .filter(entry => entry && typeof entry.key === 'string' && entry.key.length >= 16)
+                    .map(entry => ({
+                        id: String(entry.id || crypto.randomBytes(6).toString('hex')),
+                        name: String(entry.name || 'API key'),
+                        key: entry.key,
+                        created: entry.created || new Date().toISOString()
+                    }));
+            } else {
+                errors.push('API keys must be a list');
+            }
+        }
+
+        if (raw.signingSecret !== undefined) {
+            if (typeof raw.signingSecret === 'string' && raw.signingSecret.length >= 32) {
+                config.signingSecret = raw.signingSecret;
+            } else {
+                errors.push('Signing secret must be at least 32 characters');
+            }
+        }
+
+        const signedUrlTTL = Number(raw.signedUrlTTL);
+        if (raw.signedUrlTTL !== undefined) {
+            if (Number.isInteger(signedUrlTTL) && signedUrlTTL >= 60) {
+                config.signedUrlTTL = signedUrlTTL;
+            } else {
+                errors.push('Signed link lifetime must be at least 60 seconds');
+            }
+        }
+
+        if (raw.allowWrites !== undefined) {
+            config.allowWrites = raw.allowWrites === true || raw.allowWrites === 'true';
+        }
+
+        if (raw.allowPathUrls !== undefined) {
+            config.allowPathUrls = raw.allowPathUrls === true || raw.allowPathUrls === 'true';
+        }
+
+        if (raw.logLevel !== undefined) {
+            if (Object.keys(EagleFileServer.LOG_LEVELS).includes(raw.logLevel)) {
+                config.logLevel = raw.logLevel;
+            } else {
+                errors.push(`Log level must be one of ${Object.keys(EagleFileServer.LOG_LEVELS).join(', ')}`);
+            }
+        }
+
+        if (raw.accessLog !== undefined) {
+            config.accessLog = raw.accessLog === true || raw.accessLog === 'true';
+        }
+
+        if (raw.libraries !== undefined) {
+            // Library folders served under /lib/<name>, one per line in the settings window
+            const folders = (Array.isArray(raw.libraries) ? raw.libraries : String(raw.libraries).split(/\r?\n/))
+                .map(entry => String(typeof entry === 'object' && entry ? entry.path : entry).trim())
+                .filter(folder => folder);
+            const libraries = folders.map(folder => ({
+                name: path.basename(folder.replace(/[\\/]+$/, ''), '.library'),
+                path: path.resolve(folder)
+            }));
+            const names = libraries.map(library => library.name.toLowerCase());
+            const duplicate = libraries.find((library, i) => names.indexOf(library.name.toLowerCase()) !== i);
+            if (folders.some(folder => !path.isAbsolute(folder))) {
+                errors.push('Library folders must be absolute paths');
+            } else if (duplicate) {
+                errors.push(`Two library folders are named ${duplicate.name}`);
+            } else {
+                config.libraries = libraries;
+            }
+        }
+
+        const maxUploadSize = Number(raw.maxUploadSize);
+        if (raw.maxUploadSize !== undefined) {
+            if (Number.isInteger(maxUploadSize) && maxUploadSize >= 1) {
+                config.maxUploadSize = maxUploadSize;
+            } else {
+                errors.push('Maximum upload size must be a whole number of megabytes');
+            }
+        }
+
+        // Archives are plain (32-bit) zip files, which can't exceed 4 GB or 65535 entries
+        const maxArchiveSize = Number(raw.maxArchiveSize);
+        if (raw.maxArchiveSize !== undefined) {
+            if (Number.isInteger(maxArchiveSize) && maxArchiveSize >= 1 && maxArchiveSize <= 4000) {
+                config.maxArchiveSize = maxArchiveSize;
+            } else {
+                errors.push('Maximum archive size must be a whole number of megabytes between 1 and 4000');
+            }
+        }
+
+        const maxArchiveFiles = Number(raw.maxArchiveFiles);
+        if (raw.maxArchiveFiles !== undefined) {
+            if (Number.isInteger(maxArchiveFiles) && maxArchiveFiles >= 1 && maxArchiveFiles <= 65000) {
+                config.maxArchiveFiles = maxArchiveFiles;
+            } else {
+                errors.push('Maximum archive files must be a whole number between 1 and 65000');
+            }
+        }
+
+        // Writes change the library - they are only offered to callers with an API key
+        if (config.allowWrites && !config.requireAuth) {
+            config.allowWrites = false;
+            errors.push('Allow writes needs Require an API key to be on');
+        }
+
+        return { config, errors };
+    }
+
+    // Read settings from disk, falling back to defaults
+    async loadConfig() {
+        const { raw, readable } = await this.readConfigFile();
+
+        const { config, errors } = this.normalizeConfig(raw);
+        errors.forEach(error => this.log('warn', `Ignoring invalid setting: ${error}`));
+
+        if (!config.signingSecret) {
+            config.signingSecret = await this.ensureSigningSecret(raw, readable);
+        }
+
+        return config;
+    }
+
+    // Raw settings from config.json. A missing file reads as {}; readable is false when the file
+    // exists but can't be read or parsed.
+    async readConfigFile() {
+        const configPath = await this.getConfigPath();
+        try {
+            return { raw: JSON.parse(await fs.promises.readFile(configPath, 'utf8')), readable: true };
         } catch (error) {
-            console.error('Failed to initialize Eagle File Server:', error);
-            console.error('Error details:', error.message);
-            console.error('Stack trace:', error.stack);
+            if (error.code === 'ENOENT') {
+                return { raw: {}, readable: true };
+            }
+            this.log('warn', `Could not read settings from ${configPath}:`, error.message);
+            return { raw: {}, readable: false };
+        }
+    }
+
+    // Replace config.json in one step (temporary file + rename), so other windows never read half a file
+    async writeConfigFile(config) {
+        const configPath = await this.getConfigPath();
+        const tempPath = `${configPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await fs.promises.writeFile(tempPath, JSON.stringify(config, null, 4));
+            await fs.promises.rename(tempPath, configPath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    // The signing secret must be shared by the server and the inspector, so it lives in config.json.
+    // Only the instance running the server creates it; other windows (the inspector) wait for it.
+    async ensureSigningSecret(raw, readable) {
+        if (!readable) {
+            // Never write over settings that couldn't be read - sign with a temporary secret until they're fixed
+            this.log('warn', 'Using a temporary signing secret until the settings file can be read');
+            return crypto.randomBytes(32).toString('base64');
+        }
+
+        if (!this.ownsConfig) {
+            for (let attempt = 0; attempt < EagleFileServer.CONFIG_WAIT_ATTEMPTS; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, EagleFileServer.CONFIG_WAIT_INTERVAL));
+                const { raw: current } = await this.readConfigFile();
+                const { config } = this.normalizeConfig(current);
+                if (config.signingSecret) return config.signingSecret;
+            }
+            throw new Error('The plugin has not created its settings yet - start it from the plugin menu first');
+        }
+
+        const signingSecret = crypto.randomBytes(32).toString('base64');
+        await this.writeConfigFile({ ...raw, signingSecret });
+        return signingSecret;
+    }
+
+    // Validate and persist settings, then apply them (restarting the server if needed)
+    async saveConfig(raw) {
+        const { config, errors } = this.normalizeConfig({ ...this.getConfig(), ...raw });
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        if (config.https && config.tlsCert) {
+            // Report a missing or mismatched certificate here rather than as a server that won't start
+            await this.loadTlsCredentials(config);
+        }
+
+        await this.writeConfigFile(config);
+        await this.updateConfig(config);
+        return config;
+    }
+
+    // Current settings as a plain object
+    getConfig() {
+        return {
+            port: this.port,
+            host: this.host,
+            https: this.https,
+            httpsPort: this.httpsPort,
+            httpMode: this.httpMode,
+            tlsCert: this.tlsCert,
+            tlsKey: this.tlsKey,
+            basePath: this.basePath,
+            corsOrigins: [...this.corsOrigins],
+            cacheMaxAge: this.cacheMaxAge,
+            defaultListLimit: this.defaultListLimit,
+            requireAuth: this.requireAuth,
+            apiKeys: this.apiKeys.map(entry => ({ ...entry })),
+            signingSecret: this.signingSecret,
+            signedUrlTTL: this.signedUrlTTL,
+            allowWrites: this.allowWrites,
+            maxUploadSize: this.maxUploadSize,
+            maxArchiveSize: this.maxArchiveSize,
+            maxArchiveFiles: this.maxArchiveFiles,
+            galleryPath: this.galleryPath,
+            allowPathUrls: this.allowPathUrls,
+            libraries: this.libraries.map(library => ({ ...library })),
+            logLevel: this.logLevel,
+            accessLog: this.accessLog
+        };
+    }
+
+    applyConfig(config) {
+        this.port = config.port;
+        this.host = config.host;
+        this.https = config.https;
+        this.httpsPort = config.httpsPort;
+        this.httpMode = config.httpMode;
+        this.tlsCert = config.tlsCert;
+        this.tlsKey = config.tlsKey;
+        this.basePath = config.basePath;
+        this.corsOrigins = [...config.corsOrigins];
+        this.cacheMaxAge = config.cacheMaxAge;
+        this.defaultListLimit = config.defaultListLimit;
+        this.requireAuth = config.requireAuth;
+        this.apiKeys = config.apiKeys.map(entry => ({ ...entry }));
+        this.signingSecret = config.signingSecret;
+        this.signedUrlTTL = config.signedUrlTTL;
+        this.allowWrites = config.allowWrites;
+        this.maxUploadSize = config.maxUploadSize;
+        this.maxArchiveSize = config.maxArchiveSize;
+        this.maxArchiveFiles = config.maxArchiveFiles;
+        this.galleryPath = config.galleryPath;
+        this.allowPathUrls = config.allowPathUrls;
+        this.libraries = config.libraries.map(library => ({ ...library }));
+        this.logLevel = config.logLevel;
+        this.accessLog = config.accessLog;
+        // The route table depends on the settings (gallery path, /by-path), and /lib views copy them
+        this.routes = this.buildRoutes();
+        this.libraryViews.clear();
+    }
+
+    // Apply new settings; the listeners are restarted in place when the address, scheme or certificate changes
+    async updateConfig(config) {
+        const needsRestart = ['port', 'host', 'https', 'httpsPort', 'httpMode', 'tlsCert', 'tlsKey']
+            .some(name => config[name] !== this[name]);
+        this.applyConfig(config);
+
+        if (needsRestart && this.servers.length > 0) {
+            this.log('info', `Settings changed - restarting server on ${this.getBaseUrl()}`);
+            await this.stopServer();
+            await this.startHTTPServer();
+        }
+    }
+
+    // Pick up edits made to the settings file outside the settings panel
+    watchConfig() {
+        fs.watchFile(this.configPath, { interval: 2000 }, async () => {
+            try {
+                // Keep the running settings while the file is half-edited or broken
+                if (!(await this.readConfigFile()).readable) return;
+                await this.updateConfig(await this.loadConfig());
+            } catch (error) {
+                this.log('error', 'Failed to reload settings:', error);
+            }
+        });
+    }
+
+    // Base URL clients should use to reach the server (used for copied links). With HTTPS on,
+    // links always use it, even when plain HTTP is still served next to it.
+    getBaseUrl(config = this.getConfig()) {
+        const wildcardHosts = ['', '0.0.0.0', '::', '127.0.0.1', '::1'];
+        const host = wildcardHosts.includes(config.host) ? 'localhost' : config.host;
+        const hostPart = host.includes(':') ? `[${host}]` : host;
+        const basePath = config.basePath === '/' ? '' : config.basePath;
+        const origin = config.https ? `https://${hostPart}:${config.httpsPort}` : `http://${hostPart}:${config.port}`;
+        return `${origin}${basePath}`;
+    }
+
+    // CORS headers for a request, based on the configured allowed origins
+    applyCorsHeaders(req, res) {
+        if (this.corsOrigins.length === 0) return;
+
+        if (this.corsOrigins.includes('*')) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else {
+            res.setHeader('Vary', 'Origin');
+            const origin = req.headers.origin;
+            if (!origin || !this.corsOrigins.includes(origin)) return;
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+        // Any-origin access is read-only: other websites must never drive writes through the user's browser
+        const writable = this.allowWrites && !this.corsOrigins.includes('*');
+        res.setHeader('Access-Control-Allow-Methods', writable ? 'GET, POST, PATCH, DELETE, OPTIONS' : 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    }
+
+    // Generate a new API key and save it
+    async createApiKey(name) {
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: (name || '').trim() || 'API key',
+            key: crypto.randomBytes(24).toString('base64url'),
+            created: new Date().toISOString()
+        };
+        await this.saveConfig({ apiKeys: [...this.apiKeys, entry] });
+        return entry;
+    }
+
+    async revokeApiKey(id) {
+        await this.saveConfig({ apiKeys: this.apiKeys.filter(entry => entry.id !== id) });
+    }
+
+    // Compare secrets without leaking how much of them matched
+    safeEqual(a, b) {
+        const hashA = crypto.createHash('sha256').update(String(a)).digest();
+        const hashB = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(hashA, hashB);
+    }
+
+    // HMAC signature for a file link valid until exp (unix seconds)
+    signFileId(fileId, exp, secret = this.signingSecret) {
+        return crypto.createHmac('sha256', secret)
+            .update(`${fileId}:${exp}`)
+            .digest('base64url');
+    }
+
+    // Build an expiring link to one file that works without an API key
+    createSignedUrl(fileId, config = this.getConfig(), suffix = '') {
+        const exp = Math.floor(Date.now() / 1000) + config.signedUrlTTL;
+        const sig = this.signFileId(fileId, exp, config.signingSecret);
+        return `${this.getBaseUrl(config)}/files/${encodeURIComponent(fileId)}${suffix}?exp=${exp}&sig=${sig}`;
+    }
+
+    // Link to a file or its thumbnail, as copied from the inspector. With options.fileName the link
+    // ends in a readable name, for renderers that look at the extension.
+    getFileUrl(fileId, config = this.getConfig(), options = {}) {
+        const suffix = options.thumbnail ? '/thumbnail'
+            : options.fileName ? `/${encodeURIComponent(this.slugifyFileName(options.fileName))}` : '';
+        if (options.signed) {
+            return this.createSignedUrl(fileId, config, suffix);
+        }
+        return `${this.getBaseUrl(config)}/files/${encodeURIComponent(fileId)}${suffix}`;
+    }
+
+    // 'My photo (1).JPG' -> 'My-photo-1.JPG': letters and digits of any script survive, the rest becomes -
+    slugifyFileName(fileName) {
+        const ext = path.extname(fileName);
+        const slug = path.basename(fileName, ext)
+            .normalize('NFC')
+            .replace(/[^\p{L}\p{N}._~]+/gu, '-')
+            .replace(/^[-.]+|-+$/g, '');
+        return `${slug || 'file'}${ext}`;
+    }
+
+    // Wrap a link in one of LINK_FORMATS. Embeds pick the element for the file type; files that
+    // can't be embedded become plain links.
+    formatLink(item, url, format, options = {}) {
+        const name = item.name || item.id;
+        const type = this.getFileType(item.ext);
+        const embeddable = ['image', 'video', 'audio'].includes(type);
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        const escapeHtml = value => value.replace(/[&<>"']/g, char => entities[char]);
+        // Brackets, parentheses and spaces would end the link early in Markdown and BBCode
+        const markupUrl = url.replace(/[()[\]\s]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+
+        switch (format) {
+            case 'markdown':
+                return `${embeddable ? '!' : ''}[${name.replace(/([\[\]\\])/g, '\\$1')}](${markupUrl})`;
+            case 'obsidian': {
+                // Obsidian reads "alt|width" as the embed size, so a | in the name must go
+                const alt = name.replace(/[\[\]|]/g, ' ').replace(/\s+/g, ' ').trim();
+                return embeddable
+                    ? `![${alt}${options.width ? `|${options.width}` : ''}](${markupUrl})`
+                    : `[${alt}](${markupUrl})`;
+            }
+            case 'html':
+                if (type === 'image') return `<img src="${escapeHtml(url)}" alt="${escapeHtml(name)}">`;
+                if (type === 'video') return `<video src="${escapeHtml(url)}" controls></video>`;
+                if (type === 'audio') return `<audio src="${escapeHtml(url)}" controls></audio>`;
+                return `<a href="${escapeHtml(url)}">${escapeHtml(name)}</a>`;
+            case 'bbcode':
+                return type === 'image'
+                    ? `[img]${markupUrl}[/img]`
+                    : `[url=${markupUrl}]${name.replace(/[\[\]]/g, '')}[/url]`;
+            default:
+                return url;
+        }
+    }
+
+    // Check API key or signed link. Returns null when the request may proceed, else { status, error }.
+    checkAuth(req, route, params, searchParams) {
+        if (!this.requireAuth) return null;
+
+        // Signed links grant access to one file (and its thumbnails/resized variants)
+        if (route.allowSigned && searchParams.has('sig')) {
+            const exp = parseInt(searchParams.get('exp'), 10);
+            if (!exp || !this.safeEqual(this.signFileId(params.fileId, exp), searchParams.get('sig'))) {
+                return { status: 403, error: 'Invalid signature' };
+            }
+            if (exp < Date.now() / 1000) {
+                return { status: 403, error: 'Signed link has expired' };
+            }
+            return null;
+        }
+
+        let token = searchParams.get('token') || req.headers['x-api-key'];
+        const authorization = req.headers.authorization || '';
+        if (!token && /^Bearer\s+/i.test(authorization)) {
+            token = authorization.replace(/^Bearer\s+/i, '').trim();
+        }
+
+        if (!token) {
+            return { status: 401, error: 'API key required' };
+        }
+        if (!this.apiKeys.some(entry => this.safeEqual(entry.key, token))) {
+            return { status: 401, error: 'Invalid API key' };
         }
+        return null;
     }
 
     // Convert Eagle item to our file format
@@ -55,7 +674,7 @@ class EagleFileServer {
             // Fallback: construct path from library structure
             const imagesPath = path.join(this.eagleDataPath, 'images');
             const itemDir = `${item.id}.info`;
-            filePath = path.join(imagesPath, itemDir, fileName);
+            filePath = path.join(imagesPath, itemDir, ext ? `${fileName}.${ext}` : fileName);
         }
         
         return {
@@ -64,12 +683,15 @@ class EagleFileServer {
             path: filePath,
             type: this.getFileType(ext),
             size: item.size || item.fileSize || 0,
-            created: item.dateCreated ? new Date(item.dateCreated).toISOString() : 
+            // Eagle items use importedAt/modifiedAt (ms); the other names are kept for older data
+            created: item.importedAt ? new Date(item.importedAt).toISOString() :
+                     item.dateCreated ? new Date(item.dateCreated).toISOString() : 
                      item.created ? new Date(item.created).toISOString() : 
-                     new Date().toISOString(),
-            modified: item.dateModified ? new Date(item.dateModified).toISOString() : 
+                     null,
+            modified: item.modifiedAt ? new Date(item.modifiedAt).toISOString() :
+                      item.dateModified ? new Date(item.dateModified).toISOString() : 
                       item.modified ? new Date(item.modified).toISOString() : 
-                      new Date().toISOString(),
+                      null,
             tags: item.tags || [],
             folders: item.folders || [],
             ext: ext,
@@ -79,25 +701,83 @@ class EagleFileServer {
         };
     }
 
+    // Public file information - everything clients may see, without the disk path
+    toFileInfo(file) {
+        return {
+            id: file.id,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            created: file.created,
+            modified: file.modified,
+            tags: file.tags,
+            folders: file.folders,
+            ext: file.ext,
+            width: file.width,
+            height: file.height
+        };
+    }
+
+    // File information plus the Eagle metadata shown in the inspector
+    toFileDetails(file) {
+        const item = file.metadata || {};
+        return {
+            ...this.toFileInfo(file),
+            annotation: item.annotation || '',
+            url: item.url || item.website || '',
+            star: item.star || 0,
+            palettes: (item.palettes || []).map(palette => ({
+                color: palette.color,
+                ratio: palette.ratio
+            }))
+        };
+    }
+
     async loadFileById(fileId) {
+        if (!this.isValidItemId(fileId)) return null;
+
         try {
             // Use Eagle's API to get the item by ID
-            const item = await eagle.item.getById(fileId);
+            const item = await this.source.item.getById(fileId);
             
             if (!item) {
-                console.warn(`File not found via Eagle API: ${fileId}`);
+                this.log('debug', `File not found via Eagle API: ${fileId}`);
                 return null;
             }
             
             return this.convertEagleItemToFile(item);
             
         } catch (error) {
-            console.error(`Error loading file ${fileId}:`, error);
-            console.error('Error message:', error.message);
+            this.log('error', `Error loading file ${fileId}:`, error);
             return null;
         }
     }
 
+    isValidItemId(id) {
+        return typeof id === 'string' && EagleFileServer.ITEM_ID_PATTERN.test(id);
+    }
+
+    // Real path (symlinks resolved) of a file inside one of the roots - the library by default - or null
+    // when it is missing or lies outside. Item metadata decides which file is served, so it isn't trusted
+    // to point into the library.
+    async resolveConfinedPath(filePath, roots = [this.eagleDataPath]) {
+        if (!filePath) return null;
+        try {
+            const realPath = await fs.promises.realpath(filePath);
+            for (const root of roots.filter(root => root)) {
+                const realRoot = await fs.promises.realpath(root).catch(() => null);
+                if (!realRoot) continue;
+                const relative = path.relative(realRoot, realPath);
+                if (relative && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative)) {
+                    return realPath;
+                }
+            }
+        } catch (error) {
+            // Missing or unreadable
+        }
+        return null;
+    }
+
     // Get all items using Eagle's API
     async getAllItems(filters = {}) {
         try {
@@ -145,9 +825,9 @@ class EagleFileServer {
             
             // If no extensions specified, make a single query
             if (extensions.length === 0) {
-                console.log('Eagle API query:', JSON.stringify(baseQuery, null, 2));
-                const items = await eagle.item.get(baseQuery);
-                console.log(`Eagle API returned ${items?.length || 0} items`);
+                this.log('debug', 'Eagle API query:', JSON.stringify(baseQuery));
+                const items = await this.source.item.get(baseQuery);
+                this.log('debug', `Eagle API returned ${items?.length || 0} items`);
                 return items || [];
             }
             
@@ -157,9 +837,9 @@ class EagleFileServer {
             
             for (const ext of extensions) {
                 const query = { ...baseQuery, ext: ext };
-                console.log(`Eagle API query for ext "${ext}":`, JSON.stringify(query, null, 2));
-                const items = await eagle.item.get(query);
-                console.log(`Eagle API returned ${items?.length || 0} items for ext "${ext}"`);
+                this.log('debug', `Eagle API query for ext "${ext}":`, JSON.stringify(query));
+                const items = await this.source.item.get(query);
+                this.log('debug', `Eagle API returned ${items?.length || 0} items for ext "${ext}"`);
                 
                 if (items && items.length > 0) {
                     for (const item of items) {
@@ -171,131 +851,209 @@ class EagleFileServer {
                 }
             }
             
-            console.log(`Total combined items: ${allItems.length}`);
+            this.log('debug', `Total combined items: ${allItems.length}`);
             return allItems;
         } catch (error) {
-            console.error('Error getting items from Eagle API:', error);
-            console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
+            this.log('error', 'Error getting items from Eagle API:', error);
             return [];
         }
     }
 
-    // Sort files based on orderBy parameter
-    sortFiles(files, orderBy) {
-        // Default to random if no orderBy specified
-        if (!orderBy || orderBy.toLowerCase() === 'random') {
-            // Shuffle array randomly
-            for (let i = files.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [files[i], files[j]] = [files[j], files[i]];
-            }
-            return files;
+    // Sort files based on orderBy parameter. Equal values are ordered by ID so pages never overlap.
+    sortFiles(files, orderBy, seed = null) {
+        const order = this.getSortOrder(orderBy, seed);
+        if (!order) {
+            return this.shuffleFiles(files);
         }
 
-        const order = orderBy.toLowerCase();
-        
-        switch (order) {
+        const keys = new Map(files.map(file => [file.id, this.getSortKey(file, order.field, seed)]));
+        return files.sort((a, b) => this.compareSortKeys(order, keys.get(a.id), a.id, keys.get(b.id), b.id));
+    }
+
+    // Field and direction for an orderBy value; null means unseeded random (the default)
+    getSortOrder(orderBy, seed = null) {
+        const order = (orderBy || 'random').toLowerCase();
+        if (order === 'random') {
+            return seed ? { name: order, field: 'rank', desc: false } : null;
+        }
+
+        const [field, direction] = order.split('_');
+        if (!['name', 'created', 'modified', 'size'].includes(field) || !['asc', 'desc', undefined].includes(direction)) {
+            return null;
+        }
+        return { name: order, field, desc: direction === 'desc' };
+    }
+
+    // Value a file is sorted by. 'rank' is the seeded random position: it depends only on the seed
+    // and the item's ID, so pages stay consistent and adding or removing items doesn't reshuffle the rest.
+    getSortKey(file, field, seed) {
+        switch (field) {
             case 'name':
-            case 'name_asc':
-                return files.sort((a, b) => a.name.localeCompare(b.name));
-            case 'name_desc':
-                return files.sort((a, b) => b.name.localeCompare(a.name));
+                return file.name || '';
             case 'created':
-            case 'created_asc':
-                return files.sort((a, b) => new Date(a.created) - new Date(b.created));
-            case 'created_desc':
-                return files.sort((a, b) => new Date(b.created) - new Date(a.created));
             case 'modified':
-            case 'modified_asc':
-                return files.sort((a, b) => new Date(a.modified) - new Date(b.modified));
-            case 'modified_desc':
-                return files.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+                return new Date(file[field]).getTime() || 0;
             case 'size':
-            case 'size_asc':
-                return files.sort((a, b) => a.size - b.size);
-            case 'size_desc':
-                return files.sort((a, b) => b.size - a.size);
-            default:
-                // Default to random
-                for (let i = files.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [files[i], files[j]] = [files[j], files[i]];
-                }
-                return files;
+                return file.size || 0;
+            case 'rank':
+                return crypto.createHash('md5').update(`${seed}:${file.id}`).digest().readUInt32BE(0);
+        }
+    }
+
+    compareSortKeys(order, aKey, aId, bKey, bId) {
+        const byKey = typeof aKey === 'string' ? aKey.localeCompare(bKey) : aKey - bKey;
+        const result = byKey || (aId < bId ? -1 : aId > bId ? 1 : 0);
+        return order.desc ? -result : result;
+    }
+
+    // Shuffle in place. With count, only the first count positions are randomized (enough for one page).
+    shuffleFiles(files, count = files.length) {
+        const limit = Math.min(count, files.length - 1);
+        for (let i = 0; i < limit; i++) {
+            const j = i + Math.floor(Math.random() * (files.length - i));
+            [files[i], files[j]] = [files[j], files[i]];
         }
+        return files;
+    }
+
+    // Resolve seed=; 'daily' becomes the current UTC date so every client gets the same order for the day
+    resolveSeed(seed) {
+        if (!seed) return null;
+        return seed.toLowerCase() === 'daily'
+            ? `daily:${new Date().toISOString().slice(0, 10)}`
+            : seed;
     }
 
-    // Get list of files with filtering and pagination
-    async getFileList(filters = {}) {
+    // Get list of files with filtering and pagination. Pages are addressed by offset or by a cursor;
+    // cursors point at the last (or first) file shown, so items added in between don't shift pages.
+    async getFileList(filters = {}, maxLimit = EagleFileServer.MAX_LIST_LIMIT) {
         try {
-            console.log('getFileList called with filters:', JSON.stringify(filters, null, 2));
-            
-            // Get items from Eagle API with filters
-            const items = await this.getAllItems(filters);
-            console.log(`getAllItems returned ${items.length} items`);
+            this.log('debug', 'getFileList called with filters:', JSON.stringify(filters));
             
-            // Convert Eagle items to our file format
-            const files = items
-                .map(item => this.convertEagleItemToFile(item))
-                .filter(file => file !== null);
-            
-            console.log(`After conversion: ${files.length} files`);
+            const limit = this.resolveLimit(filters.limit, maxLimit);
+            const offset = this.resolveOffset(filters.offset);
+            const cursor = filters.cursor;
+            if (cursor) {
+                // The cursor carries the order it was created for
+                filters = { ...filters, orderBy: cursor.orderBy, seed: cursor.seed };
+            }
+            const order = this.getSortOrder(filters.orderBy, filters.seed);
 
-            // Sort files
-            const sortedFiles = this.sortFiles([...files], filters.orderBy);
+            // Matching files in the requested order
+            const needed = cursor ? Infinity : offset + limit;
+            const sortedFiles = await this.findSortedFiles(filters, needed);
+            this.log('debug', `Found ${sortedFiles.length} matching files`);
 
-            // Apply pagination
-            const limit = parseInt(filters.limit) || 100;
-            const offset = parseInt(filters.offset) || 0;
-            const paginatedFiles = sortedFiles.slice(offset, offset + limit);
+            let start = offset;
+            let end = start + limit;
+            if (cursor) {
+                // First file after the cursor (next) or the cursor file itself (prev)
+                const boundary = this.findCursorPosition(sortedFiles, order, cursor);
+                [start, end] = cursor.direction === 'prev'
+                    ? [Math.max(0, boundary - limit), boundary]
+                    : [boundary, boundary + limit];
+            }
+            const paginatedFiles = sortedFiles.slice(start, end);
 
             // Return only file information, not the full file object
-            const fileInfo = paginatedFiles.map(file => ({
-                id: file.id,
-                name: file.name,
-                type: file.type,
-                size: file.size,
-                created: file.created,
-                modified: file.modified,
-                tags: file.tags,
-                folders: file.folders,
-                ext: file.ext,
-                width: file.width,
-                height: file.height
-            }));
+            const fileInfo = paginatedFiles.map(file => this.toFileInfo(file));
 
-            console.log(`Returning ${fileInfo.length} files (total: ${sortedFiles.length}, limit: ${limit}, offset: ${offset})`);
+            this.log('debug', `Returning ${fileInfo.length} files (total: ${sortedFiles.length}, limit: ${limit}, offset: ${start})`);
 
+            // Unseeded random order is different on every request, so it can't be continued with a cursor
+            const first = paginatedFiles[0];
+            const last = paginatedFiles[paginatedFiles.length - 1];
             return {
                 files: fileInfo,
                 total: sortedFiles.length,
                 limit: limit,
-                offset: offset
+                offset: start,
+                next: order && last && start + paginatedFiles.length < sortedFiles.length
+                    ? this.encodeCursor(order, filters.seed, last, 'next')
+                    : null,
+                prev: order && first && start > 0
+                    ? this.encodeCursor(order, filters.seed, first, 'prev')
+                    : null,
+                ...(filters.seed ? { seed: filters.seed } : {})
             };
         } catch (error) {
-            console.error('Error getting file list:', error);
-            console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
+            // Bad requests are answered by the handler; only unexpected failures are worth a log entry
+            if (!error.statusCode) this.log('error', 'Error getting file list:', error);
             throw error; // Re-throw to let the handler provide better error messages
         }
     }
 
-    // Get a random file ID using Eagle's API
+    // Page size from ?limit=, defaulting to the configured list limit. Pages larger than the maximum
+    // are refused instead of cut short - a shorter page would make offset paging skip items.
+    resolveLimit(value, maxLimit = EagleFileServer.MAX_LIST_LIMIT) {
+        if (value === null || value === undefined || value === '') return this.defaultListLimit;
+        const limit = /^\d+$/.test(String(value)) ? Number(value) : 0;
+        if (limit < 1) {
+            throw this.httpError(400, 'limit must be a positive integer');
+        }
+        if (limit > maxLimit) {
+            throw this.httpError(400, `limit must be at most ${maxLimit}`);
+        }
+        return limit;
+    }
+
+    // Number of files to skip from ?offset=, 0 when not given
+    resolveOffset(value) {
+        if (value === null || value === undefined || value === '') return 0;
+        if (!/^\d+$/.test(String(value))) {
+            throw this.httpError(400, 'offset must be a non-negative integer');
+        }
+        return Number(value);
+    }
+
+    // Opaque page cursor: the order, seed and sort position of a file, base64url-encoded JSON
+    encodeCursor(order, seed, file, direction) {
+        const position = [order.name, seed || null, this.getSortKey(file, order.field, seed), file.id, direction];
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    decodeCursor(value) {
+        try {
+            const [orderBy, seed, key, id, direction] = JSON.parse(Buffer.from(value, 'base64url').toString());
+            if (this.getSortOrder(orderBy, seed) && ['string', 'number'].includes(typeof key) &&
+                typeof id === 'string' && ['next', 'prev'].includes(direction)) {
+                return { orderBy, seed, key, id, direction };
+            }
+        } catch (error) {
+            // Fall through to the 400 below
+        }
+        throw this.httpError(400, 'Invalid cursor');
+    }
+
+    // Index of the first file that sorts after the cursor (next) or at/after it (prev), by binary search
+    findCursorPosition(files, order, cursor) {
+        let low = 0;
+        let high = files.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            const file = files[mid];
+            const comparison = this.compareSortKeys(order, this.getSortKey(file, order.field, cursor.seed), file.id, cursor.key, cursor.id);
+            if (comparison < 0 || (comparison === 0 && cursor.direction === 'next')) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    // Get a random file ID from the matching files (the first in seeded order when seed= is given)
     async getRandomFileId(filters = {}) {
         try {
-            // Get all matching items from Eagle API
-            const items = await this.getAllItems(filters);
-            
-            if (items.length === 0) {
-                return null;
+            if (filters.bag) {
+                return await this.drawFromBag(filters);
             }
 
-            // Randomly select one item
-            const randomIndex = Math.floor(Math.random() * items.length);
-            return items[randomIndex].id;
+            const [file] = await this.findSortedFiles({ ...filters, orderBy: 'random' }, 1);
+            return file ? file.id : null;
         } catch (error) {
-            console.error('Error getting random file ID:', error);
+            if (error.statusCode) throw error;
+            this.log('error', 'Error getting random file ID:', error);
             return null;
         }
     }
@@ -318,41 +1076,554 @@ class EagleFileServer {
             }
             
             // Return file information without the path
-            return {
-                id: file.id,
-                name: file.name,
-                type: file.type,
-                size: file.size,
-                created: file.created,
-                modified: file.modified,
-                tags: file.tags,
-                folders: file.folders,
-                ext: file.ext,
-                width: file.width,
-                height: file.height
-            };
+            return this.toFileInfo(file);
         } catch (error) {
-            console.error('Error getting random file:', error);
+            if (error.statusCode) throw error;
+            this.log('error', 'Error getting random file:', error);
             return null;
         }
     }
 
-    // Get file type from extension
-    getFileType(ext) {
-        const imageExts = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.svg', '.tiff'];
-        const videoExts = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
-        const audioExts = ['.mp3', '.wav', '.flac', '.aac', '.ogg', '.m4a'];
-        const docExts = ['.pdf', '.doc', '.docx', '.txt', '.rtf','.js'];
-        
-        if (imageExts.includes(ext)) return 'image';
-        if (videoExts.includes(ext)) return 'video';
-        if (audioExts.includes(ext)) return 'audio';
-        if (docExts.includes(ext)) return 'document';
-        return 'other';
+    // Shuffle bag: a client sees every matching file once before any repeats. Bags are keyed by the
+    // client's id and its filters; a seed makes the sequence itself reproducible.
+    async drawFromBag(filters) {
+        const { limit, offset, orderBy, bag: clientId, ...query } = filters;
+        const key = `${clientId}\n${JSON.stringify(query)}`;
+        const now = Date.now();
+
+        for (const [bagKey, entry] of this.shuffleBags) {
+            if (now - entry.usedAt > EagleFileServer.SHUFFLE_BAG_TTL) this.shuffleBags.delete(bagKey);
+        }
+
+        const bag = this.shuffleBags.get(key) || { drawn: new Set(), last: null, usedAt: now };
+        const files = await this.findSortedFiles({ ...query, orderBy: 'random' });
+        if (files.length === 0) {
+            return null;
+        }
+
+        let next = files.find(file => !bag.drawn.has(file.id));
+        if (!next) {
+            // Every match has been shown - start a new round without repeating the last file
+            bag.drawn.clear();
+            next = files.find(file => file.id !== bag.last) || files[0];
+        }
+        bag.drawn.add(next.id);
+        bag.last = next.id;
+        bag.usedAt = now;
+
+        // Re-insert to keep the map in least-recently-used order, then drop the oldest bags
+        this.shuffleBags.delete(key);
+        this.shuffleBags.set(key, bag);
+        while (this.shuffleBags.size > EagleFileServer.SHUFFLE_BAG_LIMIT) {
+            this.shuffleBags.delete(this.shuffleBags.keys().next().value);
+        }
+
+        return next.id;
     }
 
-    // Get MIME type from file extension
-    getMimeType(filePath) {
+    createIndex() {
+        return {
+            files: new Map(), // id -> converted file
+            mtimes: new Map(), // id -> modification time from mtime.json
+            ready: false,
+            version: 0, // bumped on every change, invalidates the sorted views
+            sorted: new Map(), // orderBy -> files sorted that way (for the current version)
+            changeDetection: null, // 'mtime.json' or 'polling'
+            mtimeFileMs: null, // mtime of mtime.json when last read
+            builtAt: null,
+            lastCheckAt: 0,
+            stale: false,
+            pending: null, // in-flight build/refresh
+            rebuild: null, // in-flight POST /index/rebuild, shared by concurrent callers
+            stats: {
+                fullRebuilds: 0,
+                incrementalRefreshes: 0,
+                itemsUpdated: 0,
+                itemsRemoved: 0,
+                lastRebuildMs: null,
+                queriesFromIndex: 0,
+                queriesFromApi: 0
+            }
+        };
+    }
+
+    // Make sure the index is built and not older than the check interval.
+    // Returns false if it can't be used (the caller then queries Eagle directly).
+    async ensureIndex() {
+        const index = this.index;
+        if (index.pending) {
+            await index.pending;
+            return index.ready;
+        }
+
+        const due = !index.ready || index.stale ||
+            Date.now() - index.lastCheckAt >= EagleFileServer.INDEX_CHECK_INTERVAL;
+        if (!due) return true;
+
+        index.pending = (index.ready ? this.refreshIndex() : this.rebuildIndex())
+            .catch(error => this.log('error', 'Item index update failed:', error))
+            .finally(() => {
+                index.pending = null;
+            });
+        await index.pending;
+        return index.ready;
+    }
+
+    // Full rebuild on request, after any refresh in progress. Requests arriving while a rebuild is
+    // running share it instead of starting another one.
+    requestIndexRebuild() {
+        const index = this.index;
+        if (!index.rebuild) {
+            index.rebuild = (async () => {
+                while (index.pending) await index.pending.catch(() => {});
+                index.pending = this.rebuildIndex().finally(() => {
+                    index.pending = null;
+                });
+                await index.pending;
+            })().finally(() => {
+                index.rebuild = null;
+            });
+        }
+        return index.rebuild;
+    }
+
+    // Read Eagle's mtime.json (item id -> last modification), or null if the library has none
+    async readMtimeFile() {
+        if (!this.eagleDataPath) return null;
+        const mtimePath = path.join(this.eagleDataPath, 'mtime.json');
+        try {
+            const stat = await fs.promises.stat(mtimePath);
+            const mtimes = JSON.parse(await fs.promises.readFile(mtimePath, 'utf8'));
+            delete mtimes.all; // item count, not an item
+            return { stat, mtimes };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Load every item from Eagle
+    async rebuildIndex() {
+        const index = this.index;
+        const startedAt = Date.now();
+
+        const [items, mtimeFile] = await Promise.all([this.source.item.getAll(), this.readMtimeFile()]);
+
+        const files = new Map();
+        for (const item of items || []) {
+            if (item.isDeleted) continue;
+            const file = this.convertEagleItemToFile(item);
+            if (file) files.set(file.id, file);
+        }
+
+        // The first build of a library is not a change
+        const previousFiles = index.ready ? index.files : null;
+        index.files = files;
+        index.mtimes = new Map(mtimeFile ? Object.entries(mtimeFile.mtimes) : []);
+        index.mtimeFileMs = mtimeFile ? mtimeFile.stat.mtimeMs : null;
+        index.changeDetection = mtimeFile ? 'mtime.json' : 'polling';
+        index.ready = true;
+        index.stale = false;
+        index.builtAt = Date.now();
+        index.lastCheckAt = Date.now();
+        index.version++;
+        index.sorted.clear();
+        index.stats.fullRebuilds++;
+        index.stats.lastRebuildMs = Date.now() - startedAt;
+
+        this.log('info', `Item index built: ${files.size} items in ${index.stats.lastRebuildMs}ms (change detection: ${index.changeDetection})`);
+
+        if (previousFiles) {
+            this.publishIndexChanges(previousFiles, files, new Set([...previousFiles.keys(), ...files.keys()]), true);
+        }
+    }
+
+    // Pick up changes since the last check. Only items whose modification time changed are
+    // fetched again; without mtime.json the index is rebuilt periodically instead.
+    async refreshIndex() {
+        const index = this.index;
+        index.lastCheckAt = Date.now();
+
+        const mtimeFile = await this.readMtimeFile();
+        if (!mtimeFile) {
+            if (index.stale || Date.now() - index.builtAt >= EagleFileServer.INDEX_POLL_INTERVAL) {
+                await this.rebuildIndex();
+            }
+            return;
+        }
+
+        if (!index.stale && mtimeFile.stat.mtimeMs === index.mtimeFileMs) return;
+
+        const changedIds = Object.keys(mtimeFile.mtimes)
+            .filter(id => index.mtimes.get(id) !== mtimeFile.mtimes[id]);
+        const removedIds = [...index.files.keys()].filter(id => !(id in mtimeFile.mtimes));
+
+        // Mass changes (imports, syncs) are cheaper to reload in one go
+        if (changedIds.length > EagleFileServer.INDEX_MAX_INCREMENTAL) {
+            await this.rebuildIndex();
+            return;
+        }
+
+        const previousFiles = new Map(index.files);
+        for (let i = 0; i < changedIds.length; i += 500) {
+            const items = await this.source.item.get({ ids: changedIds.slice(i, i + 500) });
+            const returned = new Set();
+            for (const item of items || []) {
+                returned.add(item.id);
+                if (item.isDeleted) {
+                    index.files.delete(item.id);
+                    continue;
+                }
+                const file = this.convertEagleItemToFile(item);
+                if (file) index.files.set(file.id, file);
+            }
+            // Listed in mtime.json but gone from Eagle
+            changedIds.slice(i, i + 500)
+                .filter(id => !returned.has(id))
+                .forEach(id => index.files.delete(id));
+        }
+        removedIds.forEach(id => index.files.delete(id));
+
+        index.mtimes = new Map(Object.entries(mtimeFile.mtimes));
+        index.mtimeFileMs = mtimeFile.stat.mtimeMs;
+        index.stale = false;
+
+        if (changedIds.length > 0 || removedIds.length > 0) {
+            index.version++;
+            index.sorted.clear();
+            index.stats.incrementalRefreshes++;
+            index.stats.itemsUpdated += changedIds.length;
+            index.stats.itemsRemoved += removedIds.length;
+            this.log('info', `Item index refreshed: ${changedIds.length} changed, ${removedIds.length} removed`);
+            this.publishIndexChanges(previousFiles, index.files, new Set([...changedIds, ...removedIds]));
+        }
+    }
+
+    // Force a check on the next query (after the server itself changed the library)
+    markIndexStale() {
+        this.index.stale = true;
+    }
+
+    createEventHub() {
+        return {
+            nextId: Date.now(), // ids from an earlier run are always lower, so resuming across restarts is detected
+            history: [], // most recent events, for Last-Event-ID resume
+            clients: new Set(), // { res, matches }
+            watcher: null, // change polling while clients are connected
+            folders: null, // folder id -> signature, to detect folder changes
+            metadataMs: null // mtime of the library's metadata.json when folders were last read
+        };
+    }
+
+    // Record an event and send it to the subscribers it concerns. Item events carry the file before
+    // and after the change, so a filtered subscriber also hears about items leaving its selection.
+    publishEvent(type, data, files = null) {
+        const hub = this.events;
+        const event = { id: hub.nextId++, type, data, files };
+        hub.history.push(event);
+        if (hub.history.length > EagleFileServer.EVENT_HISTORY) {
+            hub.history.shift();
+        }
+        for (const client of hub.clients) {
+            if (this.eventConcerns(event, client.matches)) this.writeEvent(client.res, event);
+        }
+    }
+
+    eventConcerns(event, matches) {
+        return !event.files || event.files.some(file => file && matches(file));
+    }
+
+    writeEvent(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    // Turn an index update into item.added/updated/deleted events for the given ids. After a full
+    // rebuild every id is passed, so unchanged items are filtered out by comparing them.
+    publishIndexChanges(previousFiles, files, ids, compare = false) {
+        if (ids.size > EagleFileServer.INDEX_MAX_INCREMENTAL) {
+            // Too many to list - clients should reload what they show
+            this.publishEvent('resync', { reason: `${ids.size} items changed` });
+            return;
+        }
+
+        for (const id of ids) {
+            const before = previousFiles.get(id) || null;
+            const after = files.get(id) || null;
+            if (!before && after) {
+                this.publishEvent('item.added', { id, file: this.toFileInfo(after) }, [after]);
+            } else if (before && !after) {
+                this.publishEvent('item.deleted', { id, file: this.toFileInfo(before) }, [before]);
+            } else if (before && after) {
+                const changed = !compare || before.modified !== after.modified ||
+                    JSON.stringify(this.toFileInfo(before)) !== JSON.stringify(this.toFileInfo(after));
+                if (changed) this.publishEvent('item.updated', { id, file: this.toFileInfo(after) }, [before, after]);
+            }
+        }
+    }
+
+    // Compare the folder list with the last one seen; the library's metadata.json changes with it
+    async checkFolderChanges() {
+        const hub = this.events;
+        if (this.eagleDataPath) {
+            try {
+                const stat = await fs.promises.stat(path.join(this.eagleDataPath, 'metadata.json'));
+                if (hub.folders && stat.mtimeMs === hub.metadataMs) return;
+                hub.metadataMs = stat.mtimeMs;
+            } catch (error) {
+                // No metadata.json - compare the folder list every time
+            }
+        }
+
+        const { byId } = this.collectFolders(await this.source.folder.getAll());
+        const folders = new Map();
+        byId.forEach((folder, id) => folders.set(id, JSON.stringify([
+            folder.name, folder.description || '', folder.parent || null,
+            (folder.children || []).map(child => child.id)
+        ])));
+
+        const previous = hub.folders;
+        hub.folders = folders;
+        if (!previous) return;
+
+        const ids = new Set([...previous.keys(), ...folders.keys()]);
+        const changedIds = [...ids].filter(id => previous.get(id) !== folders.get(id));
+        if (changedIds.length > 0) {
+            this.publishEvent('folder.changed', {
+                ids: changedIds,
+                removed: changedIds.filter(id => !folders.has(id))
+            });
+        }
+    }
+
+    // Poll for library changes while anyone is listening to /events
+    startEventWatcher() {
+        const hub = this.events;
+        if (hub.watcher) return;
+
+        let checking = false;
+        const check = async () => {
+            if (checking) return;
+            checking = true;
+            try {
+                await this.ensureIndex();
+                await this.checkFolderChanges();
+            } catch (error) {
+                this.log('warn', 'Change check for /events failed:', error.message);
+            } finally {
+                checking = false;
+            }
+        };
+        hub.watcher = setInterval(check, EagleFileServer.INDEX_CHECK_INTERVAL);
+        check();
+    }
+
+    stopEventWatcher() {
+        clearInterval(this.events.watcher);
+        this.events.watcher = null;
+    }
+
+    async handleEvents(req, res, searchParams) {
+        const filters = this.parseFilters(searchParams);
+        const matches = this.buildFileFilter(filters);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // don't let reverse proxies hold events back
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        res.write('retry: 5000\n\n');
+
+        // Resume: replay what the client missed, or tell it to reload if that's no longer known
+        const hub = this.events;
+        const lastEventId = parseInt(req.headers['last-event-id'] || searchParams.get('lastEventId'), 10);
+        if (!isNaN(lastEventId)) {
+            const oldestId = hub.history.length > 0 ? hub.history[0].id : hub.nextId;
+            if (lastEventId < oldestId - 1 || lastEventId >= hub.nextId) {
+                this.writeEvent(res, { id: hub.nextId - 1, type: 'resync', data: { reason: 'Missed events are no longer available' } });
+            } else {
+                hub.history
+                    .filter(event => event.id > lastEventId && this.eventConcerns(event, matches))
+                    .forEach(event => this.writeEvent(res, event));
+            }
+        }
+
+        const client = { res, matches };
+        hub.clients.add(client);
+        this.startEventWatcher();
+
+        const heartbeat = setInterval(() => res.write(': keepalive\n\n'), EagleFileServer.EVENT_HEARTBEAT_INTERVAL);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            hub.clients.delete(client);
+            if (hub.clients.size === 0) this.stopEventWatcher();
+        });
+    }
+
+    // Build a predicate for the filters from parseFilters()
+    buildFileFilter(filters = {}) {
+        const extensions = this.parseList(filters.ext)
+            .map(ext => (ext.startsWith('.') ? ext.substring(1) : ext).toLowerCase());
+        const keyword = (filters.keyword || '').trim().toLowerCase();
+        const tags = this.parseList(filters.tags);
+        const folders = this.parseList(filters.folders);
+        const excludeTags = this.parseList(filters.excludeTags);
+        const excludeFolders = this.parseList(filters.excludeFolders);
+        const types = filters.type || [];
+        const annotation = (filters.annotation || '').trim().toLowerCase();
+
+        // [value getter, min, max] for the numeric range filters
+        const ranges = [
+            [file => Date.parse(file.created), filters.createdAfter, filters.createdBefore],
+            [file => Date.parse(file.modified), filters.modifiedAfter, filters.modifiedBefore],
+            [file => file.size, filters.minSize, filters.maxSize],
+            [file => file.width, filters.minWidth, filters.maxWidth],
+            [file => file.height, filters.minHeight, filters.maxHeight],
+            [file => (file.metadata && file.metadata.star) || 0, filters.minStar, filters.maxStar]
+        ].filter(([, min, max]) => (min !== null && min !== undefined) || (max !== null && max !== undefined));
+
+        return (file) => {
+            if (extensions.length > 0 && !extensions.includes(file.ext)) return false;
+            if (types.length > 0 && !types.includes(file.type)) return false;
+
+            // Tags: every requested tag by default, any of them with tagMode=any. Folders: any.
+            if (tags.length > 0) {
+                const hasTag = tag => file.tags.includes(tag);
+                if (filters.tagMode === 'any' ? !tags.some(hasTag) : !tags.every(hasTag)) return false;
+            }
+            if (folders.length > 0 && !folders.some(folder => file.folders.includes(folder))) return false;
+            if (excludeTags.some(tag => file.tags.includes(tag))) return false;
+            if (excludeFolders.some(folder => file.folders.includes(folder))) return false;
+
+            for (const [getValue, min, max] of ranges) {
+                const value = getValue(file);
+                if (value === null || value === undefined || isNaN(value)) return false;
+                if (min !== null && min !== undefined && value < min) return false;
+                if (max !== null && max !== undefined && value > max) return false;
+            }
+
+            if (filters.orientation) {
+                if (!file.width || !file.height) return false;
+                const orientation = file.width > file.height ? 'landscape'
+                    : file.width < file.height ? 'portrait' : 'square';
+                if (orientation !== filters.orientation) return false;
+            }
+
+            const item = file.metadata || {};
+            if (annotation && !(item.annotation || '').toLowerCase().includes(annotation)) return false;
+            if (keyword) {
+                const haystack = [file.name, item.annotation, item.url, ...file.tags].join('\n').toLowerCase();
+                if (!haystack.includes(keyword)) return false;
+            }
+            return true;
+        };
+    }
+
+    // Files matching the filters, from the index when possible
+    async findFiles(filters = {}) {
+        if (await this.ensureIndex()) {
+            this.index.stats.queriesFromIndex++;
+            this.countMetric('cache_lookups_total', { cache: 'index', result: 'hit' });
+            const matches = this.buildFileFilter(filters);
+            return [...this.index.files.values()].filter(matches);
+        }
+
+        // Index unavailable - ask Eagle directly for what its query supports, then apply the rest here.
+        // Eagle's tag query requires every tag, so tagMode=any is left to the predicate.
+        this.index.stats.queriesFromApi++;
+        this.countMetric('cache_lookups_total', { cache: 'index', result: 'miss' });
+        const items = await this.getAllItems({
+            ...filters,
+            tags: filters.tagMode === 'any' ? null : filters.tags
+        });
+        const matches = this.buildFileFilter({ ...filters, keyword: null });
+        return items
+            .map(item => this.convertEagleItemToFile(item))
+            .filter(file => file !== null && matches(file));
+    }
+
+    // Matching files in the requested order. Only the first `needed` positions are guaranteed to be
+    // in order for random sorting - enough for one page without shuffling the whole library.
+    async findSortedFiles(filters = {}, needed = Infinity) {
+        const orderBy = (filters.orderBy || 'random').toLowerCase();
+        const seed = orderBy === 'random' ? filters.seed : null;
+        const files = await this.findFiles(filters);
+
+        if ((orderBy === 'random' && !seed) || !this.index.ready) {
+            return orderBy === 'random' && !seed
+                ? this.shuffleFiles(files, needed)
+                : this.sortFiles(files, orderBy, seed);
+        }
+
+        // Sort the whole index once per version and order (or seed), then filter the sorted view
+        const index = this.index;
+        const viewKey = seed ? `random:${seed}` : orderBy;
+        this.countMetric('cache_lookups_total', { cache: 'sorted', result: index.sorted.has(viewKey) ? 'hit' : 'miss' });
+        if (!index.sorted.has(viewKey)) {
+            if (seed) {
+                // Keep only the most recent seeded views
+                const seededKeys = [...index.sorted.keys()].filter(key => key.startsWith('random:'));
+                seededKeys.slice(0, Math.max(0, seededKeys.length - EagleFileServer.MAX_SEEDED_VIEWS + 1))
+                    .forEach(key => index.sorted.delete(key));
+            }
+            index.sorted.set(viewKey, this.sortFiles([...index.files.values()], orderBy, seed));
+        }
+        const matching = new Set(files.map(file => file.id));
+        return index.sorted.get(viewKey).filter(file => matching.has(file.id));
+    }
+
+    getIndexStats() {
+        const index = this.index;
+        return {
+            ready: index.ready,
+            itemCount: index.files.size,
+            version: index.version,
+            changeDetection: index.changeDetection,
+            builtAt: index.builtAt ? new Date(index.builtAt).toISOString() : null,
+            lastCheckAt: index.lastCheckAt ? new Date(index.lastCheckAt).toISOString() : null,
+            ...index.stats
+        };
+    }
+
+    async handleIndexStats(req, res) {
+        this.sendJSON(res, 200, {
+            success: true,
+            data: this.getIndexStats()
+        });
+    }
+
+    async handleIndexRebuild(req, res) {
+        await this.requestIndexRebuild();
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: this.getIndexStats()
+        });
+    }
+
+    // Get file type from extension
+    getFileType(ext) {
+        // Eagle stores extensions without the leading dot
+        ext = (ext || '').toLowerCase();
+        if (ext && !ext.startsWith('.')) ext = '.' + ext;
+
+        const imageExts = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.svg', '.tiff', '.psd'];
+        const videoExts = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+        const audioExts = ['.mp3', '.wav', '.flac', '.aac', '.ogg', '.m4a'];
+        const docExts = ['.pdf', '.doc', '.docx', '.txt', '.rtf','.js'];
+        
+        if (imageExts.includes(ext)) return 'image';
+        if (videoExts.includes(ext)) return 'video';
+        if (audioExts.includes(ext)) return 'audio';
+        if (docExts.includes(ext)) return 'document';
+        return 'other';
+    }
+
+    // Get MIME type from file extension
+    getMimeType(filePath) {
         const ext = path.extname(filePath).toLowerCase();
         const mimeTypes = {
             '.jpg': 'image/jpeg',
@@ -363,6 +1634,7 @@ class EagleFileServer {
             '.webp': 'image/webp',
             '.svg': 'image/svg+xml',
             '.tiff': 'image/tiff',
+            '.psd': 'image/vnd.adobe.photoshop',
             '.mp4': 'video/mp4',
             '.avi': 'video/x-msvideo',
             '.mov': 'video/quicktime',
@@ -385,367 +1657,3611 @@ class EagleFileServer {
         return mimeTypes[ext] || 'application/octet-stream';
     }
 
+    // Parse a Range header against the file size.
+    // Returns null when there is no usable header (serve the whole file),
+    // 'unsatisfiable' when no range overlaps the file, or a list of { start, end }.
+    parseRange(rangeHeader, size) {
+        if (!rangeHeader) return null;
 
-    startHTTPServer() {
-        try {
-            this.server = http.createServer((req, res) => {
-                if (this.enableCORS) {
-                    res.setHeader('Access-Control-Allow-Origin', '*');
-                    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-                    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-                }
-                
-                if (req.method === 'OPTIONS') {
-                    res.writeHead(200);
-                    res.end();
-                    return;
-                }
-
-                let pathname = '/';
-                let searchParams = new URLSearchParams();
-                
-                try {
-                    const url = new URL(req.url, `http://localhost:${this.port}`);
-                    pathname = url.pathname;
-                    searchParams = url.searchParams;
-                } catch (error) {
-                    console.error('Error parsing URL:', error, 'req.url:', req.url);
-                    // Fallback: parse manually
-                    const urlParts = req.url.split('?');
-                    pathname = urlParts[0] || '/';
-                    if (urlParts[1]) {
-                        searchParams = new URLSearchParams(urlParts[1]);
-                    }
-                }
+        const match = /^\s*bytes\s*=(.*)$/i.exec(rangeHeader);
+        if (!match) return null;
 
-                // Handle async routes - check in order of specificity
-                if (pathname.startsWith('/files/') && pathname.split('/').length > 2) {
-                    const fileId = pathname.split('/')[2];
-                    this.handleFileById(req, res, fileId).catch(err => {
-                        console.error('Error in handleFileById:', err);
-                        if (!res.headersSent) {
-                            res.writeHead(500, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ success: false, error: 'Internal server error' }));
-                        }
-                    });
-                    return;
-                }
-                
-                if (pathname === '/getList' || pathname === '/getList/') {
-                    this.handleGetList(req, res, searchParams).catch(err => {
-                        console.error('Error in handleGetList:', err);
-                        if (!res.headersSent) {
-                            res.writeHead(500, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ success: false, error: 'Internal server error' }));
-                        }
-                    });
-                    return;
-                }
-                
-                if (pathname === '/getRandom' || pathname === '/getRandom/') {
-                    this.handleGetRandom(req, res, searchParams).catch(err => {
-                        console.error('Error in handleGetRandom:', err);
-                        if (!res.headersSent) {
-                            res.writeHead(500, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ success: false, error: 'Internal server error' }));
-                        }
-                    });
-                    return;
-                }
-                
-                if (pathname === '/getRandomMedia' || pathname === '/getRandomMedia/') {
-                    this.handleGetRandomMedia(req, res, searchParams).catch(err => {
-                        console.error('Error in handleGetRandomMedia:', err);
-                        if (!res.headersSent) {
-                            res.writeHead(500, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ success: false, error: 'Internal server error' }));
-                        }
-                    });
-                    return;
-                }
-                
-                // Default response
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    status: 'ok', 
-                    message: 'Eagle File Server',
-                    port: this.port,
-                    eagleDataPath: this.eagleDataPath || 'using Eagle API',
-                    usingEagleAPI: true,
-                    endpoints: {
-                        getList: '/getList?limit=10&offset=0&orderBy=random&keyword=&ext=&tags=&folders=',
-                        getRandom: '/getRandom?keyword=&ext=&tags=&folders=',
-                        getRandomMedia: '/getRandomMedia?keyword=&ext=&tags=&folders=',
-                        fileById: '/files/{fileId}'
-                    }
-                }));
-            });
+        const ranges = [];
+        for (const part of match[1].split(',')) {
+            const spec = part.trim();
+            if (!spec) continue;
 
-            this.server.listen(this.port, () => {
-                this.isRunning = true;
-                console.log(`🚀 Eagle File Server running on http://localhost:${this.port}`);
-                console.log(`📁 Eagle data path: ${this.eagleDataPath}`);
-                console.log(`🔗 Health check: http://localhost:${this.port}/`);
-                console.log(`📁 File serving: http://localhost:${this.port}/files/{fileId}`);
-                console.log(`📋 Get list: http://localhost:${this.port}/getList`);
-                console.log(`🎲 Get random ID: http://localhost:${this.port}/getRandom`);
-                console.log(`🎲 Get random media: http://localhost:${this.port}/getRandomMedia`);
-            });
+            const bounds = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+            if (!bounds || (bounds[1] === '' && bounds[2] === '')) {
+                // Malformed header - RFC 7233 says to ignore it
+                return null;
+            }
 
-            this.server.on('error', (error) => {
-                if (error.code === 'EADDRINUSE') {
-                    console.error(`Port ${this.port} is already in use. Please choose a different port.`);
+            let start;
+            let end;
+            if (bounds[1] === '') {
+                // Suffix range: the last N bytes
+                const suffixLength = parseInt(bounds[2], 10);
+                if (suffixLength === 0) continue;
+                start = Math.max(size - suffixLength, 0);
+                end = size - 1;
+            } else {
+                start = parseInt(bounds[1], 10);
+                if (bounds[2] === '') {
+                    end = size - 1;
                 } else {
-                    console.error('Server error:', error);
+                    end = parseInt(bounds[2], 10);
+                    if (end < start) return null;
+                    end = Math.min(end, size - 1);
                 }
-                this.isRunning = false;
-            });
+            }
 
-        } catch (error) {
-            console.error('Failed to start HTTP server:', error);
-            this.isRunning = false;
+            if (start < size) {
+                ranges.push({ start, end });
+            }
         }
-    }
 
+        if (ranges.length === 0) return 'unsatisfiable';
 
-    async handleFileById(req, res, fileId) {
-        try {
-            if (!this.eagleDataPath) {
-                res.writeHead(503, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: false, 
-                    error: 'Library path not configured',
-                    libraryPath: 'not set'
-                }));
-                return;
-            }
-            
-            const file = await this.loadFileById(fileId);
-            
-            if (!file) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: 'File not found' }));
-                return;
+        // Coalesce overlapping or adjacent ranges so the same bytes are never sent twice
+        ranges.sort((a, b) => a.start - b.start);
+        const merged = [ranges[0]];
+        for (const range of ranges.slice(1)) {
+            const last = merged[merged.length - 1];
+            if (range.start <= last.end + 1) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push(range);
             }
+        }
+        return merged;
+    }
 
-            const filePath = file.path;
-            if (!fs.existsSync(filePath)) {
-                console.error(`File path does not exist: ${filePath}`);
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: false, 
-                    error: 'File not found on disk',
-                    filePath: filePath,
-                    libraryPath: this.eagleDataPath
-                }));
-                return;
-            }
+    // Find the thumbnail Eagle generated for an item (images/<id>.info/<name>_thumbnail.png)
+    getThumbnailPath(file) {
+        const item = file.metadata || {};
+        if (item.thumbnailPath && fs.existsSync(item.thumbnailPath)) {
+            return item.thumbnailPath;
+        }
 
-            // Set appropriate headers
-            const mimeType = this.getMimeType(filePath);
-            res.setHeader('Content-Type', mimeType);
-            res.setHeader('Content-Disposition', `inline; filename="${path.basename(filePath)}"`);
-            res.setHeader('Cache-Control', 'public, max-age=3600');
-
-            // Stream the file
-            const fileStream = fs.createReadStream(filePath);
-            fileStream.pipe(res);
-
-            fileStream.on('error', (error) => {
-                console.error('Error streaming file:', error);
-                console.error('File path:', filePath);
-                console.error('Error code:', error.code);
-                if (!res.headersSent) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ 
-                        success: false, 
-                        error: 'Error reading file',
-                        details: error.message,
-                        code: error.code
-                    }));
-                }
-            });
+        const itemDir = file.path
+            ? path.dirname(file.path)
+            : path.join(this.eagleDataPath, 'images', `${file.id}.info`);
+
+        try {
+            const thumbnail = fs.readdirSync(itemDir).find(name => name.endsWith('_thumbnail.png'));
+            return thumbnail ? path.join(itemDir, thumbnail) : null;
         } catch (error) {
-            console.error('Error in handleFileById:', error);
-            if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: false, 
-                    error: 'Internal server error',
-                    details: error.message
-                }));
-            }
+            return null;
         }
     }
 
-    async handleGetList(req, res, searchParams) {
-        try {
-            const filters = {
-                limit: searchParams.get('limit'),
-                offset: searchParams.get('offset'),
-                orderBy: searchParams.get('orderBy'),
-                keyword: searchParams.get('keyword'),
-                ext: searchParams.get('ext'),
-                tags: searchParams.get('tags'),
-                folders: searchParams.get('folders')
-            };
+    getResizeCacheDir() {
+        return this.dataPath ? path.join(this.dataPath, 'cache', 'resized') : null;
+    }
 
-            const result = await this.getFileList(filters);
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: true,
-                data: result
-            }));
-        } catch (error) {
-            console.error('Error handling getList:', error);
-            const errorMessage = error.message || 'Internal server error';
-            const statusCode = errorMessage.includes('not accessible') || errorMessage.includes('not configured') ? 503 : 500;
-            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: false,
-                error: errorMessage,
-                usingEagleAPI: true
-            }));
+    // Work out output size and source crop for a resize.
+    // fit: contain (default, fit inside the box), cover (fill the box, crop the rest), fill (stretch).
+    // Images are never upscaled, except by fill.
+    computeResizeBox(sourceWidth, sourceHeight, width, height, fit) {
+        const box = { sx: 0, sy: 0, sw: sourceWidth, sh: sourceHeight };
+
+        if (!width || !height) {
+            const scale = Math.min(1, width ? width / sourceWidth : height / sourceHeight);
+            box.width = Math.max(1, Math.round(sourceWidth * scale));
+            box.height = Math.max(1, Math.round(sourceHeight * scale));
+            return box;
+        }
+
+        if (fit === 'fill') {
+            box.width = width;
+            box.height = height;
+            return box;
         }
+
+        if (fit === 'cover') {
+            const scale = Math.min(1, Math.max(width / sourceWidth, height / sourceHeight));
+            box.width = Math.max(1, Math.min(width, Math.round(sourceWidth * scale)));
+            box.height = Math.max(1, Math.min(height, Math.round(sourceHeight * scale)));
+            box.sw = box.width / scale;
+            box.sh = box.height / scale;
+            box.sx = (sourceWidth - box.sw) / 2;
+            box.sy = (sourceHeight - box.sh) / 2;
+            return box;
+        }
+
+        const scale = Math.min(1, width / sourceWidth, height / sourceHeight);
+        box.width = Math.max(1, Math.round(sourceWidth * scale));
+        box.height = Math.max(1, Math.round(sourceHeight * scale));
+        return box;
     }
 
-    async handleGetRandom(req, res, searchParams) {
+    // Decode, resize and encode an image with the renderer's canvas APIs
+    async renderResizedImage(sourcePath, outputPath, options) {
+        const buffer = await fs.promises.readFile(sourcePath);
+        const source = await createImageBitmap(new Blob([buffer]));
+
         try {
-            const filters = {
-                keyword: searchParams.get('keyword'),
-                ext: searchParams.get('ext'),
-                tags: searchParams.get('tags'),
-                folders: searchParams.get('folders')
-            };
+            const box = this.computeResizeBox(source.width, source.height, options.width, options.height, options.fit);
+            const resized = await createImageBitmap(source, box.sx, box.sy, box.sw, box.sh, {
+                resizeWidth: box.width,
+                resizeHeight: box.height,
+                resizeQuality: 'high'
+            });
 
-            const file = await this.getRandomFile(filters);
-            
-            if (!file) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    error: 'No matching files found'
-                }));
-                return;
-            }
+            const canvas = new OffscreenCanvas(box.width, box.height);
+            canvas.getContext('2d').drawImage(resized, 0, 0);
+            resized.close();
 
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: true,
-                data: file
-            }));
-        } catch (error) {
-            console.error('Error handling getRandom:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: false,
-                error: 'Internal server error'
-            }));
+            const blob = await canvas.convertToBlob({ type: options.mimeType, quality: 0.85 });
+            const output = Buffer.from(await blob.arrayBuffer());
+
+            // Write to a temp file first so readers never see a partial image
+            const tempPath = `${outputPath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, output);
+            await fs.promises.rename(tempPath, outputPath);
+        } finally {
+            source.close();
         }
     }
 
-    async handleGetRandomMedia(req, res, searchParams) {
-        try {
-            if (!this.eagleDataPath) {
-                res.writeHead(503, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: false, 
-                    error: 'Library path not configured',
-                    libraryPath: 'not set'
-                }));
-                return;
-            }
-            
-            const filters = {
-                keyword: searchParams.get('keyword'),
-                ext: searchParams.get('ext'),
-                tags: searchParams.get('tags'),
-                folders: searchParams.get('folders')
-            };
+    // Serve a downscaled copy of an image, rendered once and kept in the disk cache
+    async sendResizedImage(req, res, file, sourcePath, searchParams) {
+        const width = parseInt(searchParams.get('w')) || null;
+        const height = parseInt(searchParams.get('h')) || null;
+        const fit = (searchParams.get('fit') || 'contain').toLowerCase();
+        const download = this.wantsDownload(searchParams);
 
-            // Get a random file ID
-            const randomId = await this.getRandomFileId(filters);
-            
-            if (!randomId) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    error: 'No matching files found'
-                }));
-                return;
-            }
+        if ((width !== null && (width < 1 || width > 4096)) ||
+            (height !== null && (height < 1 || height > 4096)) ||
+            (!width && !height) ||
+            !['contain', 'cover', 'fill'].includes(fit)) {
+            this.sendError(res, 400, 'Invalid resize parameters (w and h must be 1-4096, fit must be contain, cover or fill)');
+            return;
+        }
 
-            // Load and stream the file (same as handleFileById)
-            const file = await this.loadFileById(randomId);
-            
-            if (!file) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: 'File not found' }));
-                return;
-            }
+        if (!await this.resolveConfinedPath(sourcePath)) {
+            this.sendError(res, 404, 'File not found on disk');
+            return;
+        }
 
-            const filePath = file.path;
-            if (!fs.existsSync(filePath)) {
-                console.error(`File path does not exist: ${filePath}`);
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: false, 
-                    error: 'File not found on disk',
-                    filePath: filePath,
-                    libraryPath: this.eagleDataPath
-                }));
+        // Formats the browser engine can decode; others (PSD, TIFF, videos, ...) are resized from Eagle's thumbnail
+        const decodableExts = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+        let sourceExt = path.extname(sourcePath).toLowerCase();
+        if (!decodableExts.includes(sourceExt)) {
+            const thumbnailPath = sourceExt === '.svg' ? null : this.getThumbnailPath(file);
+            if (!thumbnailPath || !await this.resolveConfinedPath(thumbnailPath)) {
+                if (file.type !== 'image') {
+                    this.sendError(res, 400, 'Resizing is only supported for images and items with a thumbnail');
+                    return;
+                }
+                // Vector images scale by themselves; undecodable ones are served as-is
+                await this.sendFile(req, res, { ...file, path: sourcePath }, { download });
                 return;
             }
+            sourcePath = thumbnailPath;
+            sourceExt = '.png';
+        }
+
+        // Keep JPEG and WebP as they are, everything else becomes PNG to preserve transparency
+        const outputExt = ['.jpg', '.jpeg'].includes(sourceExt) ? '.jpg' : sourceExt === '.webp' ? '.webp' : '.png';
+        const mimeType = this.getMimeType(`resized${outputExt}`);
+
+        // Cache key covers the source version, so edited items get re-rendered
+        const sourceStat = await fs.promises.stat(sourcePath);
+        const version = this.getCacheValidators({ ...file, path: sourcePath }, sourceStat).etag;
+        const variant = `${width || 0}x${height || 0}_${fit}`;
+        const versionHash = crypto.createHash('sha1').update(`${sourcePath}:${version}`).digest('hex').slice(0, 16);
+
+        // The original and Eagle's thumbnail are different sources - their renders must not replace each other
+        const sourceKind = sourcePath === this.getThumbnailPath(file) ? 'thumbnail' : 'original';
+        const cacheDir = this.getResizeCacheDir();
+        const cachePrefix = `${file.id}_${sourceKind}_${variant}_`;
+        const cacheName = `${cachePrefix}${versionHash}${outputExt}`;
+        const cachePath = path.join(cacheDir, cacheName);
+
+        const cached = fs.existsSync(cachePath);
+        this.countMetric('cache_lookups_total', { cache: 'resize', result: cached ? 'hit' : 'miss' });
+        if (!cached) {
+            if (!this.pendingResizes.has(cachePath)) {
+                const render = (async () => {
+                    await fs.promises.mkdir(cacheDir, { recursive: true });
+
+                    // Drop renders of older versions of this item, unless they are being sent right now
+                    for (const name of await fs.promises.readdir(cacheDir)) {
+                        if (name.startsWith(cachePrefix) && name !== cacheName && !this.resizeReads.has(path.join(cacheDir, name))) {
+                            await fs.promises.unlink(path.join(cacheDir, name)).catch(() => {});
+                        }
+                    }
+
+                    await this.renderResizedImage(sourcePath, cachePath, { width, height, fit, mimeType });
+                })();
+                this.pendingResizes.set(cachePath, render);
+                render.finally(() => this.pendingResizes.delete(cachePath)).catch(() => {});
+            }
+
+            try {
+                await this.pendingResizes.get(cachePath);
+            } catch (error) {
+                // Decoding failed - better to serve the original than nothing
+                this.log('error', `Failed to resize ${sourcePath}:`, error.message);
+                await this.sendFile(req, res, file, { download });
+                return;
+            }
+        }
+
+        this.resizeReads.set(cachePath, (this.resizeReads.get(cachePath) || 0) + 1);
+        res.once('close', () => {
+            const reads = this.resizeReads.get(cachePath) - 1;
+            if (reads > 0) this.resizeReads.set(cachePath, reads);
+            else this.resizeReads.delete(cachePath);
+        });
+
+        const baseName = path.basename(file.name || file.id, path.extname(file.name || ''));
+        await this.sendFile(req, res, { ...file, path: cachePath }, {
+            fileName: `${baseName}${outputExt}`,
+            download
+        });
+    }
+
+    // Build the ETag and Last-Modified validators for a file.
+    // Both change when the item is edited in Eagle or the file on disk is replaced.
+    getCacheValidators(file, stat) {
+        const item = file.metadata || {};
+        const itemModified = Number(item.modifiedAt || item.modificationTime || item.lastModified || item.mtime) || 0;
+        const lastModifiedMs = Math.max(itemModified, stat.mtimeMs);
+
+        const hash = crypto.createHash('sha1')
+            .update(`${file.id}:${itemModified}:${stat.size}:${stat.mtimeMs}`)
+            .digest('base64')
+            .replace(/=+$/, '');
+
+        return {
+            etag: `"${hash}"`,
+            // HTTP dates have one second resolution
+            lastModified: new Date(Math.floor(lastModifiedMs / 1000) * 1000)
+        };
+    }
+
+    // Check If-None-Match / If-Modified-Since against the current validators
+    isNotModified(req, validators) {
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch) {
+            // If-None-Match takes precedence and uses weak comparison
+            if (ifNoneMatch.trim() === '*') return true;
+            return ifNoneMatch.split(',')
+                .map(tag => tag.trim().replace(/^W\//, ''))
+                .includes(validators.etag);
+        }
+
+        const ifModifiedSince = req.headers['if-modified-since'];
+        if (ifModifiedSince) {
+            const since = Date.parse(ifModifiedSince);
+            if (!isNaN(since)) {
+                return validators.lastModified.getTime() <= since;
+            }
+        }
+
+        return false;
+    }
+
+    // Check If-Range - a stale validator means the whole file must be sent instead of the range
+    isRangeCurrent(req, validators) {
+        const ifRange = req.headers['if-range'];
+        if (!ifRange) return true;
+
+        const value = ifRange.trim();
+        if (value.startsWith('"') || value.startsWith('W/')) {
+            // Strong comparison only
+            return value === validators.etag;
+        }
+
+        const date = Date.parse(value);
+        return !isNaN(date) && date === validators.lastModified.getTime();
+    }
+
+    // Content-Disposition for a file name. The quoted name is an ASCII stand-in for old clients; the
+    // real name goes in filename* (RFC 5987) whenever the two differ.
+    contentDisposition(fileName, download = false) {
+        const type = download ? 'attachment' : 'inline';
+        const fallback = fileName.normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7e]|["\\%]/g, '_');
+        if (fallback === fileName) {
+            return `${type}; filename="${fileName}"`;
+        }
+        const encoded = encodeURIComponent(fileName)
+            .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+    }
+
+    // Send a file from disk, honoring Range requests (single range or multipart/byteranges)
+    async sendFile(req, res, file, options = {}) {
+        // Files come from the library, or from the resize cache
+        const filePath = await this.resolveConfinedPath(file.path, [this.eagleDataPath, this.getResizeCacheDir()]);
+        if (!filePath) {
+            this.log('error', `File missing or outside the library: ${file.path}`);
+            this.sendError(res, 404, 'File not found on disk');
+            return;
+        }
+
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile()) {
+            this.sendError(res, 404, 'File not found on disk');
+            return;
+        }
+        const size = stat.size;
+
+        // Text-like files are compressed when the client accepts it, but never for Range requests:
+        // ranges always refer to the bytes on disk
+        const mimeType = this.getMimeType(file.path);
+        const encoding = req.headers.range ? null : this.negotiateEncoding(req, mimeType, size);
+
+        // Cache validators - answer revalidations without sending the body again. The compressed
+        // body isn't byte-identical to the file, so its ETag is weak and can't satisfy If-Range.
+        const validators = this.getCacheValidators(file, stat);
+        res.setHeader('ETag', encoding ? `W/${validators.etag}` : validators.etag);
+        this.setEncodingHeaders(res, mimeType, null);
+        res.setHeader('Last-Modified', validators.lastModified.toUTCString());
+        // Authenticated responses must not end up in shared caches
+        res.setHeader('Cache-Control', `${this.requireAuth ? 'private' : 'public'}, max-age=${this.cacheMaxAge}`);
+
+        if (this.isNotModified(req, validators)) {
+            res.writeHead(304);
+            res.end();
+            return;
+        }
+
+        // Set appropriate headers. The name is the item's, even when the file on disk is a symlink.
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', this.contentDisposition(options.fileName || path.basename(file.path), options.download));
+        if (EagleFileServer.ACTIVE_CONTENT_TYPES.includes(mimeType)) {
+            // SVG and the like can carry scripts - opened directly they must not run or reach the API
+            res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox");
+        }
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        // If-Range: only honor the range when the client's copy is still current
+        const ranges = this.isRangeCurrent(req, validators)
+            ? this.parseRange(req.headers.range, size)
+            : null;
+
+        if (ranges === 'unsatisfiable') {
+            this.sendError(res, 416, 'Range not satisfiable', {
+                headers: { 'Content-Range': `bytes */${size}` }
+            });
+            return;
+        }
+
+        let activeStream = null;
+        res.on('close', () => {
+            if (activeStream) activeStream.destroy();
+        });
+
+        const onStreamError = (error) => {
+            this.log('error', `Error streaming ${filePath}:`, error);
+            this.sendError(res, 500, 'Error reading file', { details: error.code });
+        };
+
+        // Whole file
+        if (!ranges) {
+            // Compressed bodies are chunked - their length isn't known up front
+            this.setEncodingHeaders(res, mimeType, encoding);
+            res.writeHead(200, encoding ? {} : { 'Content-Length': size });
+            if (req.method === 'HEAD') {
+                res.end();
+                return;
+            }
+            activeStream = fs.createReadStream(filePath);
+            activeStream.on('error', onStreamError);
+            activeStream.pipe(encoding ? this.createEncoder(res, encoding) : res);
+            return;
+        }
+
+        // Single range
+        if (ranges.length === 1) {
+            const { start, end } = ranges[0];
+            res.writeHead(206, {
+                'Content-Length': end - start + 1,
+                'Content-Range': `bytes ${start}-${end}/${size}`
+            });
+            if (req.method === 'HEAD') {
+                res.end();
+                return;
+            }
+            activeStream = fs.createReadStream(filePath, { start, end });
+            activeStream.on('error', onStreamError);
+            activeStream.pipe(res);
+            return;
+        }
+
+        // Multiple ranges - multipart/byteranges body
+        const boundary = crypto.randomBytes(16).toString('hex');
+        const parts = ranges.map(range => ({
+            ...range,
+            header: `\r\n--${boundary}\r\n` +
+                    `Content-Type: ${mimeType}\r\n` +
+                    `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+        }));
+        const trailer = `\r\n--${boundary}--\r\n`;
+        const contentLength = parts.reduce(
+            (total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1),
+            Buffer.byteLength(trailer)
+        );
+
+        res.writeHead(206, {
+            'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+            'Content-Length': contentLength
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        const writePart = (index) => {
+            if (index >= parts.length) {
+                activeStream = null;
+                res.end(trailer);
+                return;
+            }
+            const part = parts[index];
+            res.write(part.header);
+            activeStream = fs.createReadStream(filePath, { start: part.start, end: part.end });
+            activeStream.on('error', onStreamError);
+            activeStream.on('end', () => writePart(index + 1));
+            activeStream.pipe(res, { end: false });
+        };
+        writePart(0);
+    }
+
+
+    // Route table - drives dispatching, 404/405 handling and the /openapi.json document
+    buildRoutes() {
+        const filterQuery = ['keyword', 'ext', 'tags', 'folders', 'tagMode', 'excludeTags', 'excludeFolders',
+            'type', 'createdAfter', 'createdBefore', 'modifiedAfter', 'modifiedBefore', 'minSize', 'maxSize',
+            'minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'orientation', 'minStar', 'maxStar', 'annotation'];
+        const listQuery = ['limit', 'offset', 'cursor', 'orderBy', 'seed', 'format', ...filterQuery];
+        const randomQuery = ['seed', 'bag', ...filterQuery];
+        const resizeQuery = ['w', 'h', 'fit'];
+        const signedQuery = ['exp', 'sig'];
+
+        const routes = [
+            ...(this.galleryPath ? [{
+                name: 'gallery',
+                method: 'GET',
+                path: this.galleryPath,
+                summary: 'Web gallery for browsing the library',
+                response: 'html',
+                public: true, // the page itself holds no data; it asks for an API key when needed
+                handle: (req, res) => this.handlePage(req, res, 'gallery.html')
+            }] : []),
+            {
+                name: 'index',
+                method: 'GET',
+                path: '/',
+                summary: 'Server status and endpoint overview',
+                response: 'Status',
+                handle: (req, res) => this.handleIndex(req, res)
+            },
+            {
+                name: 'health',
+                method: 'GET',
+                path: '/health',
+                summary: 'Uptime, library path and Eagle API status',
+                response: 'Health',
+                handle: (req, res) => this.handleHealth(req, res)
+            },
+            {
+                name: 'info',
+                method: 'GET',
+                path: '/info',
+                summary: 'Plugin version, active settings and endpoints',
+                response: 'Info',
+                handle: (req, res) => this.handleInfo(req, res)
+            },
+            {
+                name: 'metrics',
+                method: 'GET',
+                path: '/metrics',
+                summary: 'Request counts and latencies, bytes served, Eagle API timings and cache hits (Prometheus)',
+                response: 'metrics',
+                handle: (req, res) => this.handleMetrics(req, res)
+            },
+            {
+                name: 'libraries',
+                method: 'GET',
+                path: '/libraries',
+                summary: 'Library folders served under /lib/<name>/...',
+                response: 'LibraryList',
+                handle: (req, res) => this.handleLibraries(req, res)
+            },
+            {
+                name: 'openapi',
+                method: 'GET',
+                path: '/openapi.json',
+                summary: 'OpenAPI 3 description of this API',
+                response: 'raw',
+                handle: (req, res) => this.handleOpenApi(req, res)
+            },
+            {
+                name: 'files',
+                method: 'GET',
+                path: '/files',
+                summary: 'List files (alias of /getList)',
+                query: listQuery,
+                response: 'FileList',
+                handle: (req, res, { searchParams }) => this.handleGetList(req, res, searchParams)
+            },
+            {
+                name: 'fileById',
+                method: 'GET',
+                path: '/files/:fileId',
+                summary: 'Serve a file, optionally resized',
+                query: [...resizeQuery, 'download', ...signedQuery],
+                response: 'binary',
+                allowSigned: true,
+                handle: (req, res, { params, searchParams }) => this.handleFileById(req, res, params.fileId, searchParams)
+            },
+            {
+                name: 'thumbnail',
+                method: 'GET',
+                path: '/files/:fileId/thumbnail',
+                summary: 'Serve the thumbnail Eagle generated for a file',
+                query: [...resizeQuery, 'download', ...signedQuery],
+                response: 'binary',
+                allowSigned: true,
+                handle: (req, res, { params, searchParams }) => this.handleThumbnail(req, res, params.fileId, searchParams)
+            },
+            {
+                name: 'uploadFile',
+                method: 'POST',
+                path: '/files',
+                summary: 'Import a file (multipart, raw body or JSON with a source URL) into Eagle',
+                query: ['name', 'tags', 'folders', 'annotation', 'url', 'filename'],
+                requestBody: 'Upload',
+                response: 'FileDetails',
+                write: true,
+                handle: (req, res, { searchParams }) => this.handleUploadFile(req, res, searchParams)
+            },
+            {
+                name: 'updateFile',
+                method: 'PATCH',
+                path: '/files/:fileId',
+                summary: 'Edit name, tags, annotation, rating or folders of a file',
+                requestBody: 'FileUpdate',
+                response: 'FileDetails',
+                write: true,
+                handle: (req, res, { params }) => this.handleUpdateFile(req, res, params.fileId)
+            },
+            {
+                name: 'deleteFile',
+                method: 'DELETE',
+                path: '/files/:fileId',
+                summary: 'Move a file to the Eagle trash',
+                response: 'Deleted',
+                write: true,
+                handle: (req, res, { params }) => this.handleDeleteFile(req, res, params.fileId)
+            },
+            {
+                name: 'fileInfo',
+                method: 'GET',
+                path: '/files/:fileId/info',
+                summary: 'Metadata for one file',
+                response: 'FileDetails',
+                handle: (req, res, { params }) => this.handleFileInfo(req, res, params.fileId)
+            },
+            {
+                // After /thumbnail and /info so those keep their meaning
+                name: 'fileByName',
+                method: 'GET',
+                path: '/files/:fileId/:fileName',
+                summary: 'Serve a file under a readable name; the extension must match the item',
+                query: [...resizeQuery, 'download', ...signedQuery],
+                response: 'binary',
+                allowSigned: true,
+                handle: (req, res, { params, searchParams }) =>
+                    this.handleFileById(req, res, params.fileId, searchParams, params.fileName)
+            },
+            ...(this.allowPathUrls ? [{
+                name: 'fileByPath',
+                method: 'GET',
+                path: '/by-path/*itemPath',
+                summary: 'Serve a file by folder path and name, e.g. /by-path/Folder/Subfolder/name.jpg',
+                query: [...resizeQuery, 'download'],
+                response: 'binary',
+                handle: (req, res, { params, searchParams }) => this.handleFileByPath(req, res, params.itemPath, searchParams)
+            }] : []),
+            {
+                name: 'folders',
+                method: 'GET',
+                path: '/folders',
+                summary: 'Folder tree with item counts',
+                response: 'FolderTree',
+                handle: (req, res) => this.handleFolders(req, res)
+            },
+            {
+                name: 'tags',
+                method: 'GET',
+                path: '/tags',
+                summary: 'Tags with usage counts, and tag groups',
+                response: 'TagList',
+                handle: (req, res) => this.handleTags(req, res)
+            },
+            {
+                name: 'indexStats',
+                method: 'GET',
+                path: '/index',
+                summary: 'Item index statistics',
+                response: 'IndexStats',
+                handle: (req, res) => this.handleIndexStats(req, res)
+            },
+            {
+                name: 'indexRebuild',
+                method: 'POST',
+                path: '/index/rebuild',
+                summary: 'Rebuild the item index from Eagle',
+                response: 'IndexStats',
+                // Needs an API key like any other endpoint when keys are required; concurrent calls share one reload
+                handle: (req, res) => this.handleIndexRebuild(req, res)
+            },
+            {
+                name: 'getList',
+                method: 'GET',
+                path: '/getList',
+                summary: 'List files with filtering, sorting and pagination',
+                query: listQuery,
+                response: 'FileList',
+                handle: (req, res, { searchParams }) => this.handleGetList(req, res, searchParams)
+            },
+            {
+                name: 'search',
+                method: 'GET',
+                path: '/search',
+                summary: 'Ranked full-text search with highlighted snippets',
+                query: ['q', 'limit', 'offset', ...filterQuery],
+                response: 'SearchResults',
+                handle: (req, res, { searchParams }) => this.handleSearch(req, res, searchParams)
+            },
+            {
+                name: 'archive',
+                method: 'GET',
+                path: '/archive.zip',
+                summary: 'Zip of the matching files (or ids=), streamed without temporary files',
+                query: ['ids', 'layout', 'manifest', 'orderBy', ...filterQuery],
+                response: 'zip',
+                handle: (req, res, { searchParams }) => this.handleArchive(req, res, searchParams)
+            },
+            {
+                name: 'events',
+                method: 'GET',
+                path: '/events',
+                summary: 'Server-Sent Events stream of library changes',
+                query: ['lastEventId', ...filterQuery],
+                response: 'sse',
+                handle: (req, res, { searchParams }) => this.handleEvents(req, res, searchParams)
+            },
+            {
+                name: 'slideshow',
+                method: 'GET',
+                path: '/slideshow',
+                summary: 'Fullscreen slideshow of matching files',
+                query: ['interval', 'transition', 'fit', 'order', 'orderBy', 'caption', 'muted', 'seed', ...filterQuery],
+                response: 'html',
+                public: true, // API calls from the page pass ?token= on
+                handle: (req, res) => this.handlePage(req, res, 'slideshow.html')
+            },
+            {
+                name: 'getRandom',
+                method: 'GET',
+                path: '/getRandom',
+                summary: 'Information about one random matching file',
+                query: randomQuery,
+                response: 'File',
+                handle: (req, res, { searchParams }) => this.handleGetRandom(req, res, searchParams)
+            },
+            {
+                name: 'getRandomMedia',
+                method: 'GET',
+                path: '/getRandomMedia',
+                summary: 'Serve one random matching file',
+                query: randomQuery,
+                response: 'binary',
+                handle: (req, res, { searchParams }) => this.handleGetRandomMedia(req, res, searchParams)
+            }
+        ];
+
+        // /lib views serve another library read-only
+        return routes
+            .filter(route => !this.libraryName || EagleFileServer.LIBRARY_ROUTES.includes(route.name))
+            .map(route => this.compileRoute(route));
+    }
+
+    // Turn a route path like /files/:fileId into a matcher (trailing slash optional)
+    compileRoute(route) {
+        const paramNames = [];
+        let wildcard = null;
+        const pattern = route.path
+            .replace(/\/$/, '')
+            .replace(/\./g, '\\.')
+            .replace(/([:*])(\w+)/g, (match, kind, name) => {
+                paramNames.push(name);
+                // *name takes the rest of the path, as a list of segments
+                if (kind === '*') {
+                    wildcard = name;
+                    return '(.+)';
+                }
+                return '([^/]+)';
+            });
+
+        return {
+            query: [],
+            allowSigned: false,
+            write: false,
+            public: false,
+            ...route,
+            paramNames,
+            wildcard,
+            regex: new RegExp(`^${pattern}/?$`)
+        };
+    }
+
+    // Find the route for a request. Returns { route, params } or { route: null, allowed } when
+    // the path exists but not for this method.
+    matchRoute(method, pathname) {
+        const allowed = new Set();
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) continue;
+
+            // GET routes answer HEAD as well
+            const methods = route.method === 'GET' ? ['GET', 'HEAD'] : [route.method];
+            if (!methods.includes(method)) {
+                methods.forEach(m => allowed.add(m));
+                continue;
+            }
+
+            const decode = value => {
+                try {
+                    return decodeURIComponent(value);
+                } catch (error) {
+                    return value;
+                }
+            };
+            const params = {};
+            route.paramNames.forEach((name, index) => {
+                // Wildcards are split before decoding so an encoded / stays part of its segment
+                params[name] = name === route.wildcard
+                    ? match[index + 1].split('/').map(decode)
+                    : decode(match[index + 1]);
+            });
+            return { route, params };
+        }
+
+        return { route: null, allowed: [...allowed] };
+    }
+
+    // Error that the dispatcher turns into a response with the given status
+    httpError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Write a JSON response
+    sendJSON(res, statusCode, body, headers = {}) {
+        this.sendBody(res, statusCode, Buffer.from(JSON.stringify(body)), { 'Content-Type': 'application/json', ...headers });
+    }
+
+    // Write a complete response body, compressed when the client accepts it and it's worth it
+    sendBody(res, statusCode, body, headers) {
+        const req = res.req;
+        const encoding = this.negotiateEncoding(req, headers['Content-Type'], body.length);
+        this.setEncodingHeaders(res, headers['Content-Type'], encoding);
+        const head = req && req.method === 'HEAD';
+        if (!encoding) {
+            res.writeHead(statusCode, { ...headers, 'Content-Length': body.length });
+            res.end(head ? undefined : body);
+            return;
+        }
+        res.writeHead(statusCode, headers);
+        if (head) {
+            res.end();
+            return;
+        }
+        this.createEncoder(res, encoding).end(body);
+    }
+
+    // Stream a list as newline-delimited JSON (one object per line), written in chunks as the client
+    // reads them, so the first items arrive before the rest are serialized
+    async sendNdjson(res, items, headers = {}) {
+        const contentType = 'application/x-ndjson';
+        const encoding = this.negotiateEncoding(res.req, contentType);
+        this.setEncodingHeaders(res, contentType, encoding);
+        res.writeHead(200, { 'Content-Type': contentType, ...headers });
+        if (res.req && res.req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        const target = encoding ? this.createEncoder(res, encoding, true) : res;
+        const drained = () => new Promise(resolve => {
+            const done = () => {
+                target.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            target.on('drain', done);
+            res.on('close', done);
+        });
+
+        let chunk = '';
+        for (const item of items) {
+            chunk += JSON.stringify(item) + '\n';
+            if (chunk.length < EagleFileServer.NDJSON_CHUNK_SIZE) continue;
+            const flushed = target.write(chunk);
+            chunk = '';
+            if (!flushed) await drained();
+            // Client went away
+            if (res.destroyed) return;
+        }
+        target.end(chunk);
+    }
+
+    // Text-like content types that shrink when compressed. Images, video, audio and zips are
+    // compressed already and go out as they are.
+    isCompressible(contentType) {
+        const type = (contentType || '').split(';')[0].trim().toLowerCase();
+        return type.startsWith('text/') || EagleFileServer.COMPRESSIBLE_TYPES.includes(type);
+    }
+
+    // Pick br or gzip from Accept-Encoding (q-values respected, br preferred on a tie), or null to
+    // send the body unencoded. Bodies of known size below COMPRESSION_MIN_SIZE aren't worth it.
+    negotiateEncoding(req, contentType, size = null) {
+        if (!req || !this.isCompressible(contentType)) return null;
+        if (size !== null && size < EagleFileServer.COMPRESSION_MIN_SIZE) return null;
+
+        const weights = {};
+        for (const part of (req.headers['accept-encoding'] || '').split(',')) {
+            const [name, ...params] = part.trim().toLowerCase().split(';');
+            if (!name) continue;
+            const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+            weights[name] = q ? Number(q[1]) : 1;
+        }
+        const weight = (name) => name in weights ? weights[name] : (weights['*'] || 0);
+        return ['br', 'gzip']
+            .filter(name => weight(name) > 0)
+            .sort((a, b) => weight(b) - weight(a))[0] || null;
+    }
+
+    // Content-Encoding and Vary for a response that could have been compressed. Vary is sent either
+    // way so caches keep the encoded and plain copies apart.
+    setEncodingHeaders(res, contentType, encoding) {
+        if (!this.isCompressible(contentType)) return;
+        const vary = res.getHeader('Vary');
+        if (!vary) {
+            res.setHeader('Vary', 'Accept-Encoding');
+        } else if (!/accept-encoding/i.test(vary)) {
+            res.setHeader('Vary', `${vary}, Accept-Encoding`);
+        }
+        if (encoding) res.setHeader('Content-Encoding', encoding);
+    }
+
+    // Compression stream piped into the response; write the body to it instead of to res.
+    // Brotli runs at a low quality - the default (11) is far too slow for responses made on the fly.
+    // Streamed responses flush after every write so the client isn't kept waiting on the compressor.
+    createEncoder(res, encoding, streaming = false) {
+        const encoder = encoding === 'br'
+            ? zlib.createBrotliCompress({
+                params: { [zlib.constants.BROTLI_PARAM_QUALITY]: EagleFileServer.BROTLI_QUALITY },
+                ...(streaming ? { flush: zlib.constants.BROTLI_OPERATION_FLUSH } : {})
+            })
+            : zlib.createGzip(streaming ? { flush: zlib.constants.Z_SYNC_FLUSH } : {});
+        encoder.on('error', (error) => {
+            this.log('error', 'Compression failed:', error.message);
+            res.destroy();
+        });
+        res.on('close', () => encoder.destroy());
+        encoder.pipe(res);
+        return encoder;
+    }
+
+    // Diagnostics for Eagle's devtools console, dropped when below the configured log level
+    log(level, ...args) {
+        if (EagleFileServer.LOG_LEVELS[level] > EagleFileServer.LOG_LEVELS[this.logLevel]) return;
+        console[level](...args);
+    }
+
+    // Time and measure a request; it is logged and counted in /metrics once the response is closed
+    trackRequest(req, res) {
+        const context = { route: null, library: null, bytes: 0, startedAt: process.hrtime.bigint() };
+        const count = (chunk, encoding) => {
+            if (!chunk || typeof chunk === 'function') return;
+            context.bytes += Buffer.isBuffer(chunk)
+                ? chunk.length
+                : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        };
+        const write = res.write;
+        const end = res.end;
+        res.write = (chunk, ...rest) => {
+            count(chunk, rest[0]);
+            return write.call(res, chunk, ...rest);
+        };
+        res.end = (chunk, ...rest) => {
+            count(chunk, rest[0]);
+            return end.call(res, chunk, ...rest);
+        };
+        res.on('close', () => this.finishRequest(req, res, context));
+        return context;
+    }
+
+    finishRequest(req, res, context) {
+        const seconds = Number(process.hrtime.bigint() - context.startedAt) / 1e9;
+        const route = context.route ? context.route.name : 'none';
+
+        this.countMetric('http_requests_total', { route, method: req.method, status: res.statusCode });
+        this.countMetric('http_response_bytes_total', { route }, context.bytes);
+        // Event streams stay open for as long as the client listens - not a latency
+        if (!context.route || context.route.response !== 'sse') {
+            this.observeMetric('http_request_duration_seconds', { route }, seconds);
+        }
+
+        this.writeAccessLog({
+            time: new Date().toISOString(),
+            client: req.socket.remoteAddress || null,
+            method: req.method,
+            // Keys and signatures don't belong in a log file
+            path: req.url.replace(/([?&](?:token|sig)=)[^&]*/g, '$1***'),
+            route,
+            library: context.library,
+            status: res.statusCode,
+            bytes: context.bytes,
+            ms: Math.round(seconds * 10000) / 10,
+            aborted: !res.writableFinished,
+            userAgent: req.headers['user-agent'] || null
+        });
+    }
+
+    // Queue an access log line. Lines are appended in batches, one write at a time, and the file is
+    // rotated (access.log.1 ... .N) when it grows past ACCESS_LOG_MAX_SIZE.
+    writeAccessLog(entry) {
+        if (!this.accessLog || !this.dataPath) return;
+        const queue = this.accessLogQueue;
+        queue.lines.push(JSON.stringify(entry));
+        if (queue.flushing) return;
+        queue.flushing = this.flushAccessLog()
+            .catch(error => this.log('warn', 'Could not write the access log:', error.message))
+            .finally(() => {
+                queue.flushing = null;
+            });
+    }
+
+    async flushAccessLog() {
+        const queue = this.accessLogQueue;
+        const logDir = path.join(this.dataPath, 'logs');
+        const logPath = path.join(logDir, 'access.log');
+        await fs.promises.mkdir(logDir, { recursive: true });
+
+        while (queue.lines.length > 0) {
+            const lines = queue.lines.splice(0);
+            await fs.promises.appendFile(logPath, lines.join('\n') + '\n');
+
+            const { size } = await fs.promises.stat(logPath);
+            if (size >= EagleFileServer.ACCESS_LOG_MAX_SIZE) {
+                for (let i = EagleFileServer.ACCESS_LOG_FILES - 1; i >= 1; i--) {
+                    await fs.promises.rename(`${logPath}.${i}`, `${logPath}.${i + 1}`).catch(() => {});
+                }
+                await fs.promises.rename(logPath, `${logPath}.1`);
+            }
+        }
+    }
+
+    createMetrics() {
+        return {
+            counters: new Map(), // name + labels -> { name, labels, value }
+            histograms: new Map() // name + labels -> { name, labels, buckets (cumulative), sum, count }
+        };
+    }
+
+    // {route="x",status="200"} - label values escaped as the Prometheus text format wants
+    formatLabels(labels) {
+        const pairs = Object.entries(labels).map(([name, value]) =>
+            `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    countMetric(name, labels = {}, value = 1) {
+        const labelText = this.formatLabels(labels);
+        const key = name + labelText;
+        const counter = this.metrics.counters.get(key) || { name, labels: labelText, value: 0 };
+        counter.value += value;
+        this.metrics.counters.set(key, counter);
+    }
+
+    observeMetric(name, labels, seconds) {
+        const labelText = this.formatLabels(labels);
+        const key = name + labelText;
+        let histogram = this.metrics.histograms.get(key);
+        if (!histogram) {
+            histogram = { name, labels, buckets: EagleFileServer.METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 };
+            this.metrics.histograms.set(key, histogram);
+        }
+        EagleFileServer.METRIC_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    // Wrap the item, folder and tag calls the server makes, so their timings show up in /metrics
+    instrumentSource(source, sourceName) {
+        const operations = { item: ['get', 'getAll', 'getById'], folder: ['getAll'], tag: ['get'], tagGroup: ['get'] };
+        const instrumented = {};
+        for (const [group, methods] of Object.entries(operations)) {
+            if (!source[group]) continue;
+            instrumented[group] = {};
+            for (const method of methods) {
+                instrumented[group][method] = async (...args) => {
+                    const startedAt = process.hrtime.bigint();
+                    try {
+                        return await source[group][method](...args);
+                    } finally {
+                        this.observeMetric('eagle_api_duration_seconds', { source: sourceName, operation: `${group}.${method}` },
+                            Number(process.hrtime.bigint() - startedAt) / 1e9);
+                    }
+                };
+            }
+        }
+        return instrumented;
+    }
+
+    // Everything in METRICS, in the Prometheus text exposition format
+    renderMetrics() {
+        const prefix = 'eagle_file_server_';
+        const gauges = {
+            uptime_seconds: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+            index_items: this.index.files.size,
+            event_clients: this.events.clients.size
+        };
+
+        const lines = [];
+        for (const [name, definition] of Object.entries(EagleFileServer.METRICS)) {
+            const metric = prefix + name;
+            lines.push(`# HELP ${metric} ${definition.help}`, `# TYPE ${metric} ${definition.type}`);
+            if (definition.type === 'gauge') {
+                lines.push(`${metric} ${gauges[name]}`);
+            } else if (definition.type === 'counter') {
+                for (const counter of this.metrics.counters.values()) {
+                    if (counter.name === name) lines.push(`${metric}${counter.labels} ${counter.value}`);
+                }
+            } else {
+                for (const histogram of this.metrics.histograms.values()) {
+                    if (histogram.name !== name) continue;
+                    EagleFileServer.METRIC_BUCKETS.forEach((bound, i) => {
+                        lines.push(`${metric}_bucket${this.formatLabels({ ...histogram.labels, le: bound })} ${histogram.buckets[i]}`);
+                    });
+                    lines.push(`${metric}_bucket${this.formatLabels({ ...histogram.labels, le: '+Inf' })} ${histogram.count}`);
+                    lines.push(`${metric}_sum${this.formatLabels(histogram.labels)} ${histogram.sum}`);
+                    lines.push(`${metric}_count${this.formatLabels(histogram.labels)} ${histogram.count}`);
+                }
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Replace the library, plugin and home directories in a message, so errors from fs or the Eagle API
+    // don't reveal where things live on this computer
+    redactPaths(message) {
+        const roots = [
+            [this.eagleDataPath, '<library>'],
+            [this.dataPath, '<plugin data>'],
+            [eagle.plugin && eagle.plugin.path, '<plugin>'],
+            ...this.libraries.map(library => [library.path, `<${library.name}>`]),
+            [os.homedir(), '~']
+        ].filter(([root]) => root);
+        return roots.reduce((text, [root, label]) => text.split(root).join(label), String(message));
+    }
+
+    // Every error uses the same envelope: { success: false, error, code[, details] }
+    sendError(res, statusCode, message, options = {}) {
+        if (res.headersSent) {
+            // Too late for a JSON body - cut the connection so the client sees the failure
+            res.destroy();
+            return;
+        }
+
+        const body = {
+            success: false,
+            error: this.redactPaths(message),
+            code: options.code || EagleFileServer.ERROR_CODES[statusCode] || 'error'
+        };
+        if (options.details !== undefined) {
+            body.details = options.details;
+        }
+        this.sendJSON(res, statusCode, body, options.headers);
+    }
+
+    // Entry point for every HTTP request
+    handleRequest(req, res) {
+        const context = this.trackRequest(req, res);
+        this.applyCorsHeaders(req, res);
+        // Clients must go by Content-Type, never guess from the bytes
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200);
+            res.end();
+            return;
+        }
+
+        let pathname = '/';
+        let searchParams = new URLSearchParams();
+
+        try {
+            const url = new URL(req.url, `http://localhost:${this.port}`);
+            pathname = url.pathname;
+            searchParams = url.searchParams;
+        } catch (error) {
+            this.log('error', 'Error parsing URL:', error, 'req.url:', req.url);
+            // Fallback: parse manually
+            const urlParts = req.url.split('?');
+            pathname = urlParts[0] || '/';
+            if (urlParts[1]) {
+                searchParams = new URLSearchParams(urlParts[1]);
+            }
+        }
+
+        // Everything is served below the configured base path
+        if (this.basePath !== '/') {
+            if (pathname !== this.basePath && !pathname.startsWith(this.basePath + '/')) {
+                this.sendError(res, 404, `No endpoint at ${pathname}`);
+                return;
+            }
+            pathname = pathname.slice(this.basePath.length) || '/';
+        }
+
+        // /lib/<name>/... is answered by that library's view (or by this server, if it is the open one)
+        let router = this;
+        const libraryMatch = /^\/lib\/([^/]+)(\/.*)?$/.exec(pathname);
+        if (libraryMatch) {
+            let name = libraryMatch[1];
+            try {
+                name = decodeURIComponent(name);
+            } catch (error) {
+                // Keep it as sent
+            }
+            const library = this.libraries.find(entry => entry.name === name);
+            if (!library) {
+                this.sendError(res, 404, `Unknown library ${name}`);
+                return;
+            }
+            router = this.getLibraryView(library);
+            context.library = library.name;
+            if (router !== this && !fs.existsSync(path.join(library.path, 'metadata.json'))) {
+                this.sendError(res, 503, `Library ${name} is not available`);
+                return;
+            }
+            pathname = libraryMatch[2] || '/';
+        }
+
+        const { route, params, allowed } = router.matchRoute(req.method, pathname);
+        context.route = route;
+
+        if (!route) {
+            if (allowed.length > 0) {
+                this.sendError(res, 405, `Method ${req.method} not allowed`, {
+                    headers: { Allow: [...allowed, 'OPTIONS'].join(', ') }
+                });
+            } else {
+                this.sendError(res, 404, `No endpoint at ${pathname}`);
+            }
+            return;
+        }
+
+        // Browsers opening the root get the gallery (which asks for an API key itself) instead of JSON
+        if (route.name === 'index' && this.galleryPath && (req.headers.accept || '').includes('text/html')) {
+            const basePath = this.basePath === '/' ? '' : this.basePath;
+            res.writeHead(302, { Location: `${basePath}${this.galleryPath}`, 'Content-Length': 0 });
+            res.end();
+            return;
+        }
+
+        const authError = route.public ? null : this.checkAuth(req, route, params, searchParams);
+        if (authError) {
+            this.sendError(res, authError.status, authError.error, {
+                headers: authError.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}
+            });
+            return;
+        }
+
+        if (route.write && (!this.allowWrites || !this.requireAuth)) {
+            this.sendError(res, 403, 'Write access is disabled in the plugin settings');
+            return;
+        }
+
+        if (params.fileId !== undefined && !this.isValidItemId(params.fileId)) {
+            this.sendError(res, 400, 'Invalid file ID');
+            return;
+        }
+
+        Promise.resolve()
+            .then(() => route.handle(req, res, { params, searchParams }))
+            .catch(error => {
+                if (error.statusCode) {
+                    // Don't keep a connection whose request body was only partly read
+                    const headers = req.complete ? {} : { Connection: 'close' };
+                    this.sendError(res, error.statusCode, error.message, { headers });
+                    return;
+                }
+                this.log('error', `Error in ${route.name}:`, error);
+                this.sendError(res, 500, 'Internal server error');
+            });
+    }
+
+    // Start the listeners: plain HTTP, HTTPS, or HTTPS with HTTP next to it (serving the API too, or
+    // redirecting to HTTPS). isRunning is set once every listener is up. A certificate problem only
+    // keeps HTTPS down - it is logged and reported in /health, and plain HTTP still starts.
+    async startHTTPServer() {
+        try {
+            const listeners = [];
+            this.httpsError = null;
+            if (!this.https || this.httpMode !== 'off') {
+                const redirect = this.https && this.httpMode === 'redirect';
+                listeners.push({
+                    server: http.createServer((req, res) => redirect ? this.redirectToHttps(req, res) : this.handleRequest(req, res)),
+                    port: this.port,
+                    label: redirect ? 'HTTP (redirecting to HTTPS)' : 'HTTP'
+                });
+            }
+            if (this.https) {
+                try {
+                    const credentials = await this.loadTlsCredentials();
+                    listeners.push({
+                        server: https.createServer(credentials, (req, res) => this.handleRequest(req, res)),
+                        port: this.httpsPort,
+                        label: 'HTTPS'
+                    });
+                } catch (error) {
+                    this.httpsError = error.message;
+                    this.log('error', 'HTTPS is not available:', error.message);
+                }
+            }
+            this.servers = listeners.map(listener => listener.server);
+
+            let listening = 0;
+            for (const { server, port, label } of listeners) {
+                server.listen(port, this.host || undefined, () => {
+                    this.log('info', `${label} listening on port ${port} (bound to ${this.host || 'all interfaces'})`);
+                    if (++listening < listeners.length) return;
+
+                    this.isRunning = true;
+                    this.startedAt = Date.now();
+                    const baseUrl = this.getBaseUrl();
+                    this.log('info', `🚀 Eagle File Server running on ${baseUrl}`);
+                    this.log('info', `📁 Eagle data path: ${this.eagleDataPath}`);
+                    this.log('debug', `🔗 Health check: ${baseUrl}/health`);
+                    this.log('debug', `📁 File serving: ${baseUrl}/files/{fileId}`);
+                    this.log('debug', `🖼️ Thumbnails: ${baseUrl}/files/{fileId}/thumbnail`);
+                    this.log('debug', `📋 Get list: ${baseUrl}/getList`);
+                    this.log('debug', `🎲 Get random ID: ${baseUrl}/getRandom`);
+                    this.log('debug', `🎲 Get random media: ${baseUrl}/getRandomMedia`);
+                    this.log('debug', `📖 OpenAPI: ${baseUrl}/openapi.json`);
+                });
+
+                server.on('error', (error) => {
+                    if (error.code === 'EADDRINUSE') {
+                        this.log('error', `Port ${port} is already in use. Please choose a different port.`);
+                    } else {
+                        this.log('error', `${label} server error:`, error);
+                    }
+                    if (label === 'HTTPS') this.httpsError = error.message;
+                    this.isRunning = false;
+                });
+            }
+
+        } catch (error) {
+            this.log('error', 'Failed to start HTTP server:', error);
+            this.isRunning = false;
+        }
+    }
+
+    // Plain HTTP while HTTPS is on and httpMode is redirect: send every request to the same path over
+    // HTTPS. 308 keeps the method and body, so writes follow the redirect too.
+    redirectToHttps(req, res) {
+        let hostname = null;
+        try {
+            hostname = new URL(`http://${req.headers.host}`).hostname;
+        } catch (error) {
+            // Missing or malformed Host header - fall back to the configured address
+        }
+        const location = hostname
+            ? `https://${hostname}:${this.httpsPort}${req.url}`
+            : `${new URL(this.getBaseUrl()).origin}${req.url}`;
+        res.writeHead(308, { Location: location, 'Content-Length': 0 });
+        res.end();
+    }
+
+    // Certificate and key for the HTTPS listener: the configured PEM files, or a self-signed
+    // certificate kept in the plugin data directory
+    async loadTlsCredentials(config = this.getConfig()) {
+        if (!config.tlsCert) {
+            return this.ensureSelfSignedCertificate();
+        }
+
+        let cert, key;
+        try {
+            [cert, key] = await Promise.all([
+                fs.promises.readFile(config.tlsCert),
+                fs.promises.readFile(config.tlsKey)
+            ]);
+        } catch (error) {
+            throw new Error(`Could not read the certificate or key file: ${error.message}`);
+        }
+        try {
+            tls.createSecureContext({ cert, key });
+        } catch (error) {
+            throw new Error(`Certificate and key don't fit together or aren't PEM files: ${error.message}`);
+        }
+        return { cert, key };
+    }
+
+    // Host names and addresses the self-signed certificate is issued for: localhost, this computer's
+    // name and its network addresses, and the bind host when it is a specific one
+    getCertificateNames() {
+        const bindHost = this.getCertificateBindHost();
+        const dnsNames = ['localhost'];
+        const ips = ['127.0.0.1', '::1'];
+        const hostname = os.hostname().toLowerCase();
+        if (/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(hostname)) {
+            dnsNames.push(hostname);
+            if (!hostname.includes('.')) dnsNames.push(`${hostname}.local`);
+        }
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            for (const { address, internal } of addresses || []) {
+                // Link-local IPv6 addresses need a zone and can't go in a certificate
+                if (internal || /^fe80:/i.test(address) || address.includes('%')) continue;
+                ips.push(address);
+            }
+        }
+        if (bindHost) {
+            (net.isIP(bindHost) ? ips : dnsNames).push(bindHost);
+        }
+        return { dns: [...new Set(dnsNames)], ips: [...new Set(ips)] };
+    }
+
+    // The configured bind host when it names one address or host, null for all interfaces
+    getCertificateBindHost() {
+        return this.host && !['0.0.0.0', '::'].includes(this.host) ? this.host.toLowerCase() : null;
+    }
+
+    // The self-signed certificate from <data>/tls, created on first use and kept, so trusting it once
+    // is enough. It is only issued again when it is about to expire or the bind host changes - not when
+    // the computer's network addresses do (DHCP, IPv6 privacy addresses).
+    async ensureSelfSignedCertificate() {
+        const directory = path.join(this.dataPath, 'tls');
+        const certPath = path.join(directory, 'self-signed.crt');
+        const keyPath = path.join(directory, 'self-signed.key');
+
+        try {
+            const [cert, key] = await Promise.all([fs.promises.readFile(certPath), fs.promises.readFile(keyPath)]);
+            const x509 = new crypto.X509Certificate(cert);
+            const current = Date.parse(x509.validTo) - Date.now() > EagleFileServer.CERTIFICATE_RENEW_BEFORE;
+            const bindHost = this.getCertificateBindHost();
+            const covered = !bindHost || Boolean(net.isIP(bindHost) ? x509.checkIP(bindHost) : x509.checkHost(bindHost));
+            if (current && covered) {
+                return { cert, key };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log('warn', 'Could not use the self-signed certificate, creating a new one:', error.message);
+            }
+        }
+
+        const names = this.getCertificateNames();
+        const { cert, key } = this.createSelfSignedCertificate(names);
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(keyPath, key, { mode: 0o600 });
+        await fs.promises.writeFile(certPath, cert);
+        const fingerprint = new crypto.X509Certificate(cert).fingerprint256;
+        this.log('info', `Created a self-signed certificate for ${[...names.dns, ...names.ips].join(', ')} ` +
+            `in ${certPath} (SHA-256 ${fingerprint})`);
+        return { cert, key };
+    }
+
+    // Issue a self-signed X.509 certificate (P-256 key, serverAuth) for the given names. Node can
+    // parse certificates but not create them, so the DER structure is written out by hand.
+    createSelfSignedCertificate(names) {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+        const der = (tag, ...parts) => {
+            const content = Buffer.concat(parts);
+            const length = [];
+            for (let n = content.length; n > 0; n = Math.floor(n / 256)) length.unshift(n & 0xff);
+            const header = content.length < 0x80 ? [tag, content.length] : [tag, 0x80 | length.length, ...length];
+            return Buffer.concat([Buffer.from(header), content]);
+        };
+        const sequence = (...parts) => der(0x30, ...parts);
+        const oid = (dotted) => {
+            const [first, second, ...rest] = dotted.split('.').map(Number);
+            const bytes = [first * 40 + second];
+            for (const value of rest) {
+                const encoded = [value & 0x7f];
+                for (let n = value >>> 7; n > 0; n >>>= 7) encoded.unshift(0x80 | (n & 0x7f));
+                bytes.push(...encoded);
+            }
+            return der(0x06, Buffer.from(bytes));
+        };
+        // UTCTime until 2049, GeneralizedTime after
+        const time = (date) => {
+            const digits = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+            return date.getUTCFullYear() < 2050
+                ? der(0x17, Buffer.from(`${digits.slice(2)}Z`))
+                : der(0x18, Buffer.from(`${digits}Z`));
+        };
+        const ipBytes = (ip) => {
+            if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+            const [head, tail] = ip.split('::');
+            const words = (part) => part ? part.split(':').map(word => parseInt(word, 16)) : [];
+            const groups = tail === undefined
+                ? words(head)
+                : [...words(head), ...new Array(8 - words(head).length - words(tail).length).fill(0), ...words(tail)];
+            const bytes = Buffer.alloc(16);
+            groups.forEach((group, i) => bytes.writeUInt16BE(group, i * 2));
+            return bytes;
+        };
+
+        const notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000); // allow for clock skew
+        const notAfter = new Date(Date.now() + EagleFileServer.CERTIFICATE_LIFETIME);
+        // Positive 16-byte serial without a leading zero byte
+        const serial = crypto.randomBytes(16);
+        serial[0] = (serial[0] & 0x7f) | 0x40;
+
+        const signatureAlgorithm = sequence(oid('1.2.840.10045.4.3.2')); // ecdsa-with-SHA256
+        const subject = sequence(der(0x31, sequence(oid('2.5.4.3'), der(0x0c, Buffer.from('Eagle File Server')))));
+        const altNames = sequence(
+            ...names.dns.map(name => der(0x82, Buffer.from(name))),
+            // Addresses with an embedded IPv4 part (::ffff:1.2.3.4) are left out
+            ...names.ips.filter(ip => net.isIPv4(ip) || !ip.includes('.')).map(ip => der(0x87, ipBytes(ip)))
+        );
+        const extensions = der(0xa3, sequence(
+            sequence(oid('2.5.29.17'), der(0x04, altNames)), // subjectAltName
+            sequence(oid('2.5.29.19'), der(0x04, sequence())), // basicConstraints: not a CA
+            sequence(oid('2.5.29.15'), der(0x01, Buffer.from([0xff])), der(0x04, der(0x03, Buffer.from([0x07, 0x80])))), // keyUsage: digitalSignature
+            sequence(oid('2.5.29.37'), der(0x04, sequence(oid('1.3.6.1.5.5.7.3.1')))) // extKeyUsage: serverAuth
+        ));
+        const tbsCertificate = sequence(
+            der(0xa0, der(0x02, Buffer.from([2]))), // v3
+            der(0x02, serial),
+            signatureAlgorithm,
+            subject, // issuer - self-signed
+            sequence(time(notBefore), time(notAfter)),
+            subject,
+            publicKey.export({ type: 'spki', format: 'der' }),
+            extensions
+        );
+        const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+        const certificate = sequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.from([0]), signature));
+
+        const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+        return {
+            cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+            key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        };
+    }
+
+    // Build the OpenAPI document from the route table
+    async buildOpenApiDocument() {
+        const manifest = await this.readManifest();
+        const schemas = EagleFileServer.OPENAPI_SCHEMAS;
+        const paths = {};
+
+        for (const route of this.routes) {
+            const openApiPath = route.path.replace(/[:*](\w+)/g, '{$1}');
+            const parameters = [
+                ...route.paramNames.map(name => ({
+                    name,
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string' }
+                })),
+                ...route.query.map(name => ({
+                    name,
+                    in: 'query',
+                    required: false,
+                    ...EagleFileServer.QUERY_PARAMETERS[name]
+                }))
+            ];
+
+            const operation = {
+                operationId: route.name,
+                summary: route.summary,
+                parameters,
+                responses: this.buildOpenApiResponses(route)
+            };
+
+            if (route.requestBody === 'Upload') {
+                operation.requestBody = {
+                    content: {
+                        'multipart/form-data': { schema: { $ref: '#/components/schemas/Upload' } },
+                        'application/json': { schema: { $ref: '#/components/schemas/UrlImport' } },
+                        'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+                    }
+                };
+            } else if (route.requestBody) {
+                operation.requestBody = {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.requestBody}` } } }
+                };
+            }
+
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method.toLowerCase()] = operation;
+        }
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: manifest.name,
+                version: manifest.version
+            },
+            servers: [{ url: this.getBaseUrl() }],
+            paths,
+            components: {
+                schemas,
+                securitySchemes: {
+                    bearerAuth: { type: 'http', scheme: 'bearer' },
+                    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                    apiKeyQuery: { type: 'apiKey', in: 'query', name: 'token' }
+                }
+            },
+            security: this.requireAuth
+                ? [{ bearerAuth: [] }, { apiKeyHeader: [] }, { apiKeyQuery: [] }]
+                : []
+        };
+    }
+
+    buildOpenApiResponses(route) {
+        const errorResponse = (description) => ({
+            description,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        });
+
+        const responses = {};
+        const successStatus = route.method === 'POST' ? '201' : '200';
+        if (route.response === 'binary') {
+            responses['200'] = {
+                description: 'File contents',
+                content: { '*/*': { schema: { type: 'string', format: 'binary' } } }
+            };
+            responses['206'] = { description: 'Partial content for Range requests' };
+            responses['304'] = { description: 'Not modified' };
+            responses['416'] = errorResponse('Range not satisfiable');
+        } else if (route.response === 'zip') {
+            responses['200'] = {
+                description: 'Zip archive',
+                content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+            };
+            responses['413'] = errorResponse('Too many files or too large');
+        } else if (route.response === 'sse') {
+            responses['200'] = {
+                description: 'Event stream: item.added, item.updated, item.deleted, folder.changed, library.switched, resync',
+                content: { 'text/event-stream': { schema: { type: 'string' } } }
+            };
+        } else if (route.response === 'html') {
+            responses['200'] = {
+                description: 'HTML page',
+                content: { 'text/html': { schema: { type: 'string' } } }
+            };
+        } else if (route.response === 'metrics') {
+            responses['200'] = {
+                description: 'Prometheus text exposition format',
+                content: { 'text/plain': { schema: { type: 'string' } } }
+            };
+        } else if (route.response === 'raw') {
+            responses['200'] = {
+                description: 'OK',
+                content: { 'application/json': { schema: { type: 'object' } } }
+            };
+        } else {
+            responses[successStatus] = {
+                description: 'OK',
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            required: ['success', 'data'],
+                            properties: {
+                                success: { type: 'boolean', enum: [true] },
+                                data: { $ref: `#/components/schemas/${route.response}` }
+                            }
+                        }
+                    }
+                }
+            };
+            if (route.query.includes('format')) {
+                // format=ndjson: one File per line
+                responses[successStatus].content['application/x-ndjson'] = {
+                    schema: { $ref: '#/components/schemas/File' }
+                };
+            }
+        }
+
+        if (route.paramNames.length > 0 || route.query.length > 0) {
+            responses['400'] = errorResponse('Invalid parameters');
+        }
+        if (!route.public) {
+            responses['401'] = errorResponse('API key missing or invalid');
+        }
+        if (route.allowSigned) {
+            responses['403'] = errorResponse('Invalid or expired signed link');
+        }
+        if (route.write) {
+            responses['403'] = errorResponse('Write access is disabled');
+        }
+        if (route.requestBody) {
+            responses['413'] = errorResponse('Request body too large');
+        }
+        responses['404'] = errorResponse('Not found');
+        responses['500'] = errorResponse('Internal server error');
+        return responses;
+    }
+
+    // Serve one of the plugin's web pages (web/*.html). The page reads the API location and whether
+    // a key is needed from the injected settings instead of guessing them from its own URL.
+    async handlePage(req, res, fileName) {
+        const template = await fs.promises.readFile(path.join(eagle.plugin.path, 'web', fileName), 'utf8');
+        const settings = {
+            apiBase: this.basePath === '/' ? '' : this.basePath,
+            requireAuth: this.requireAuth
+        };
+        const json = JSON.stringify(settings).replace(/</g, '\\u003c');
+        const html = template.replace('/*__SETTINGS__*/null', () => json);
+
+        this.sendBody(res, 200, Buffer.from(html), {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            // The pages keep their scripts and styles inline and only talk to this server
+            'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; " +
+                "img-src 'self' data: blob:; object-src 'none'; base-uri 'none'; form-action 'none'"
+        });
+    }
+
+    async handleOpenApi(req, res) {
+        this.sendJSON(res, 200, await this.buildOpenApiDocument());
+    }
+
+    async handleIndex(req, res) {
+        this.sendJSON(res, 200, {
+            success: true,
+            data: {
+                status: 'ok',
+                message: 'Eagle File Server',
+                port: this.port,
+                basePath: this.basePath,
+                usingEagleAPI: true,
+                endpoints: this.getEndpoints()
+            }
+        });
+    }
+
+    // fileName comes from /files/:id/:name - only its extension matters, and it must be the item's
+    async handleFileById(req, res, fileId, searchParams, fileName = null) {
+        if (!this.eagleDataPath) {
+            this.sendError(res, 503, 'Library path not configured');
+            return;
+        }
+
+        const file = await this.loadFileById(fileId);
+        const nameExt = fileName === null ? null : path.extname(fileName).slice(1).toLowerCase();
+
+        if (!file || (nameExt !== null && nameExt !== file.ext)) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        await this.serveFile(req, res, file, file.path, searchParams);
+    }
+
+    async handleFileByPath(req, res, segments, searchParams) {
+        if (!this.eagleDataPath) {
+            this.sendError(res, 503, 'Library path not configured');
+            return;
+        }
+
+        const file = await this.findFileByPath(segments);
+
+        if (!file) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        await this.serveFile(req, res, file, file.path, searchParams);
+    }
+
+    // Send a file or thumbnail of an item - resized when w or h is given, as an attachment with ?download=1
+    async serveFile(req, res, file, sourcePath, searchParams) {
+        if (searchParams.has('w') || searchParams.has('h')) {
+            await this.sendResizedImage(req, res, file, sourcePath, searchParams);
+            return;
+        }
+
+        // Eagle's copy on disk may carry an older or shortened name
+        await this.sendFile(req, res, { ...file, path: sourcePath }, {
+            fileName: sourcePath === file.path && file.name ? `${file.name}.${file.ext}` : null,
+            download: this.wantsDownload(searchParams)
+        });
+    }
+
+    wantsDownload(searchParams) {
+        return searchParams.has('download') && !['0', 'false'].includes(searchParams.get('download'));
+    }
+
+    // Item at Folder/Subfolder/name.ext. Folder names must match exactly; with no folders the item must be
+    // outside every folder. The extension may be left off, and of several items with one name the oldest wins.
+    async findFileByPath(segments) {
+        const parts = segments.filter(part => part !== '').map(part => part.normalize('NFC'));
+        const fileName = parts.pop();
+        if (!fileName) return null;
+
+        const { byId, childIds } = this.collectFolders(await this.source.folder.getAll());
+        const sameName = (folder, name) => (folder.name || '').normalize('NFC') === name;
+        const childrenOf = (folder) => [...byId.values()].filter(child =>
+            (folder.children || []).some(entry => entry.id === child.id) || child.parent === folder.id);
+
+        // Sibling folders may share a name, so follow every match
+        let folders = [...byId.values()].filter(folder => !childIds.has(folder.id) && !folder.parent);
+        let matched = [];
+        for (const part of parts) {
+            matched = folders.filter(folder => sameName(folder, part));
+            folders = matched.flatMap(childrenOf);
+        }
+        if (parts.length > 0 && matched.length === 0) return null;
+
+        const candidates = parts.length > 0
+            ? await this.findFiles({ folders: matched.map(folder => folder.id).join(',') })
+            : (await this.findFiles()).filter(file => file.folders.length === 0);
+        candidates.sort((a, b) => (a.created || '').localeCompare(b.created || '') || a.id.localeCompare(b.id));
+
+        const name = file => (file.name || '').normalize('NFC');
+        return candidates.find(file => `${name(file)}.${file.ext}` === fileName)
+            || candidates.find(file => name(file) === fileName)
+            || null;
+    }
+
+    async handleThumbnail(req, res, fileId, searchParams) {
+        if (!this.eagleDataPath) {
+            this.sendError(res, 503, 'Library path not configured');
+            return;
+        }
+
+        const file = await this.loadFileById(fileId);
+
+        if (!file) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        // Fall back to the original when Eagle has no thumbnail for this item
+        const thumbnailPath = this.getThumbnailPath(file) || file.path;
+        await this.serveFile(req, res, file, thumbnailPath, searchParams);
+    }
+
+    async handleFileInfo(req, res, fileId) {
+        const file = await this.loadFileById(fileId);
+
+        if (!file) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: this.toFileDetails(file)
+        });
+    }
+
+    // Count items per folder ID
+    async countItemsByFolder() {
+        const counts = new Map();
+        const items = await this.findFiles();
+        for (const item of items) {
+            for (const folderId of item.folders || []) {
+                counts.set(folderId, (counts.get(folderId) || 0) + 1);
+            }
+        }
+        return counts;
+    }
+
+    // Every folder once, by ID - the API may return a flat list, a nested one, or both
+    collectFolders(folders) {
+        const byId = new Map();
+        const childIds = new Set();
+        const collect = (folder) => {
+            if (!folder || byId.has(folder.id)) return;
+            byId.set(folder.id, folder);
+            for (const child of folder.children || []) {
+                childIds.add(child.id);
+                collect(child);
+            }
+        };
+        (folders || []).forEach(collect);
+        return { byId, childIds };
+    }
+
+    // Nested folder tree with direct and total (including subfolders) item counts
+    async getFolderTree() {
+        const [folders, counts] = await Promise.all([
+            this.source.folder.getAll(),
+            this.countItemsByFolder()
+        ]);
+
+        const { byId, childIds } = this.collectFolders(folders);
+
+        const buildNode = (folder) => {
+            const children = (folder.children || [])
+                .map(child => buildNode(byId.get(child.id) || child));
+            const itemCount = counts.get(folder.id) || 0;
+            return {
+                id: folder.id,
+                name: folder.name,
+                description: folder.description || '',
+                itemCount,
+                totalItemCount: children.reduce((total, child) => total + child.totalItemCount, itemCount),
+                children
+            };
+        };
+
+        return [...byId.values()]
+            .filter(folder => !childIds.has(folder.id) && !folder.parent)
+            .map(buildNode);
+    }
+
+    async handleFolders(req, res) {
+        this.sendJSON(res, 200, {
+            success: true,
+            data: { folders: await this.getFolderTree() }
+        });
+    }
+
+    // Tags with usage counts, and the tag groups they belong to
+    async getTagSummary() {
+        const [tags, tagGroups] = await Promise.all([
+            this.source.tag.get(),
+            this.source.tagGroup ? this.source.tagGroup.get() : []
+        ]);
+
+        // Older Eagle versions don't report counts - work them out from the items
+        let counts = null;
+        if ((tags || []).some(tag => typeof tag.count !== 'number')) {
+            counts = new Map();
+            for (const item of await this.findFiles()) {
+                for (const tag of item.tags || []) {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }
+            }
+        }
+
+        const groups = (tagGroups || []).map(group => ({
+            id: group.id,
+            name: group.name,
+            color: group.color || null,
+            tags: group.tags || []
+        }));
+
+        return {
+            tags: (tags || [])
+                .map(tag => ({
+                    name: tag.name,
+                    count: counts ? counts.get(tag.name) || 0 : tag.count,
+                    color: tag.color || null,
+                    groups: groups.filter(group => group.tags.includes(tag.name)).map(group => group.id)
+                }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+            groups
+        };
+    }
+
+    async handleTags(req, res) {
+        this.sendJSON(res, 200, {
+            success: true,
+            data: await this.getTagSummary()
+        });
+    }
+
+    // Read a whole request body, refusing anything larger than maxBytes
+    readRequestBody(req, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const declared = parseInt(req.headers['content-length'], 10);
+            if (declared > maxBytes) {
+                reject(this.httpError(413, `Request body exceeds ${maxBytes} bytes`));
+                return;
+            }
+
+            const chunks = [];
+            let received = 0;
+            req.on('data', chunk => {
+                received += chunk.length;
+                if (received > maxBytes) {
+                    // Keep reading but drop the data; the error response closes the connection
+                    chunks.length = 0;
+                    reject(this.httpError(413, `Request body exceeds ${maxBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    async readJsonBody(req) {
+        const body = await this.readRequestBody(req, 1024 * 1024);
+        try {
+            return JSON.parse(body.toString('utf8') || '{}');
+        } catch (error) {
+            throw this.httpError(400, 'Request body is not valid JSON');
+        }
+    }
+
+    // Stream a raw request body into a file, refusing anything larger than maxBytes
+    saveRequestBody(req, filePath, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const declared = parseInt(req.headers['content-length'], 10);
+            if (declared > maxBytes) {
+                reject(this.httpError(413, `Upload exceeds ${this.maxUploadSize} MB`));
+                return;
+            }
+
+            const output = fs.createWriteStream(filePath);
+            let received = 0;
+            req.on('data', chunk => {
+                received += chunk.length;
+                if (received > maxBytes && !output.destroyed) {
+                    req.unpipe(output);
+                    output.destroy();
+                    req.resume();
+                    reject(this.httpError(413, `Upload exceeds ${this.maxUploadSize} MB`));
+                }
+            });
+            req.on('error', reject);
+            output.on('error', reject);
+            output.on('finish', () => resolve(received));
+            req.pipe(output);
+        });
+    }
+
+    // Minimal streaming multipart/form-data parser. File parts are written into uploadDir as they
+    // arrive; text fields are collected (up to 64 KB each).
+    parseMultipart(req, boundary, uploadDir, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const delimiter = Buffer.from(`\r\n--${boundary}`);
+            const fields = {};
+            const files = [];
+
+            // Treat the body as if it started with CRLF so the first boundary matches the delimiter
+            let buffer = Buffer.from('\r\n');
+            let state = 'preamble';
+            let part = null;
+            let received = 0;
+            let failed = false;
+
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                if (part && part.output) part.output.destroy();
+                // Discard the rest of the body; the error response closes the connection
+                req.resume();
+                reject(error);
+            };
+
+            const writePartData = (data) => {
+                if (data.length === 0) return;
+                if (part.output) {
+                    if (!part.output.write(data)) {
+                        req.pause();
+                        part.output.once('drain', () => req.resume());
+                    }
+                } else if (part.value.length + data.length <= 64 * 1024) {
+                    part.value = Buffer.concat([part.value, data]);
+                } else {
+                    fail(this.httpError(413, `Form field "${part.name}" is too large`));
+                }
+            };
+
+            const finishPart = () => {
+                if (part.output) {
+                    part.output.end();
+                    files.push(part.file);
+                } else if (part.name) {
+                    fields[part.name] = part.value.toString('utf8');
+                }
+                part = null;
+            };
+
+            const startPart = (headerText) => {
+                const headers = {};
+                for (const line of headerText.split('\r\n')) {
+                    const index = line.indexOf(':');
+                    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+                }
+
+                const disposition = headers['content-disposition'] || '';
+                const name = (/\bname="([^"]*)"/i.exec(disposition) || [])[1] || '';
+                const fileName = (/\bfilename="([^"]*)"/i.exec(disposition) || [])[1];
+
+                part = { name, value: Buffer.alloc(0), output: null };
+                if (fileName !== undefined && fileName !== '') {
+                    // Keep the original name (Eagle derives the type from it) inside a private directory
+                    const partDir = path.join(uploadDir, String(files.length));
+                    fs.mkdirSync(partDir, { recursive: true });
+                    const safeName = path.basename(fileName.replace(/\\/g, '/')) || 'upload';
+                    const filePath = path.join(partDir, safeName);
+                    part.output = fs.createWriteStream(filePath);
+                    part.output.on('error', fail);
+                    part.file = { fieldName: name, fileName: safeName, path: filePath, output: part.output };
+                }
+            };
+
+            const consume = () => {
+                while (!failed) {
+                    if (state === 'preamble' || state === 'body') {
+                        const index = buffer.indexOf(delimiter);
+                        if (index === -1) {
+                            // Keep enough bytes to match a delimiter split across chunks
+                            const keep = Math.min(buffer.length, delimiter.length - 1);
+                            if (state === 'body') writePartData(buffer.subarray(0, buffer.length - keep));
+                            buffer = buffer.subarray(buffer.length - keep);
+                            return;
+                        }
+                        if (state === 'body') {
+                            writePartData(buffer.subarray(0, index));
+                            if (failed) return;
+                            finishPart();
+                        }
+                        buffer = buffer.subarray(index + delimiter.length);
+                        state = 'delimiter';
+                    } else if (state === 'delimiter') {
+                        if (buffer.length < 2) return;
+                        if (buffer.subarray(0, 2).toString() === '--') {
+                            state = 'done';
+                            return;
+                        }
+                        buffer = buffer.subarray(2);
+                        state = 'headers';
+                    } else if (state === 'headers') {
+                        const index = buffer.indexOf('\r\n\r\n');
+                        if (index === -1) {
+                            if (buffer.length > 16 * 1024) fail(this.httpError(400, 'Malformed multipart body'));
+                            return;
+                        }
+                        startPart(buffer.subarray(0, index).toString('utf8'));
+                        buffer = buffer.subarray(index + 4);
+                        state = 'body';
+                    } else {
+                        return;
+                    }
+                }
+            };
+
+            req.on('data', chunk => {
+                received += chunk.length;
+                if (received > maxBytes) {
+                    fail(this.httpError(413, `Upload exceeds ${this.maxUploadSize} MB`));
+                    return;
+                }
+                if (failed) return;
+                buffer = Buffer.concat([buffer, chunk]);
+                consume();
+            });
+
+            req.on('end', () => {
+                if (failed) return;
+                if (state !== 'done') {
+                    fail(this.httpError(400, 'Malformed multipart body'));
+                    return;
+                }
+                // Wait for every file to be flushed to disk
+                Promise.all(files.map(file => new Promise((done, error) => {
+                    if (file.output.writableFinished) return done();
+                    file.output.on('finish', done);
+                    file.output.on('error', error);
+                }))).then(() => resolve({ fields, files }), reject);
+            });
+
+            req.on('error', fail);
+        });
+    }
+
+    // Refuse URL imports of non-http(s) URLs and of hosts that resolve to a private address. Eagle
+    // resolves the host again and follows redirects itself, so this stops mistakes, not a determined
+    // attacker - keep writes limited to trusted API keys.
+    async checkImportUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw this.httpError(400, 'url must be an http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw this.httpError(400, 'url must be an http(s) URL');
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        let addresses = [hostname];
+        if (!net.isIP(hostname)) {
+            try {
+                addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+            } catch (error) {
+                throw this.httpError(400, `Could not resolve ${hostname}`);
+            }
+        }
+        if (addresses.some(address => this.isPrivateAddress(address))) {
+            throw this.httpError(400, 'url must not point to this computer or a private network');
+        }
+    }
+
+    // Loopback, private, link-local and other non-public addresses (IPv4-mapped IPv6 included)
+    isPrivateAddress(address) {
+        const blockList = new net.BlockList();
+        for (const [network, prefix] of EagleFileServer.PRIVATE_NETWORKS) {
+            blockList.addSubnet(network, prefix, net.isIPv6(network) ? 'ipv6' : 'ipv4');
+        }
+        return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    // Turn a comma-separated string or array into a clean list of strings
+    parseList(value) {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(entry => String(entry).trim()).filter(entry => entry);
+    }
+
+    async handleUploadFile(req, res, searchParams) {
+        const contentType = (req.headers['content-type'] || '').toLowerCase();
+        const maxBytes = this.maxUploadSize * 1024 * 1024;
+        const uploadDir = path.join(this.dataPath, 'uploads', crypto.randomBytes(8).toString('hex'));
+
+        try {
+            let fields = Object.fromEntries(searchParams.entries());
+            let uploadPath = null;
+            let fileName = null;
+
+            if (contentType.startsWith('multipart/form-data')) {
+                const boundary = (/boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type']) || []);
+                if (!boundary[1] && !boundary[2]) {
+                    throw this.httpError(400, 'Multipart boundary missing');
+                }
+                await fs.promises.mkdir(uploadDir, { recursive: true });
+                const form = await this.parseMultipart(req, boundary[1] || boundary[2], uploadDir, maxBytes);
+                fields = { ...fields, ...form.fields };
+                if (form.files.length > 0) {
+                    uploadPath = form.files[0].path;
+                    fileName = form.files[0].fileName;
+                }
+            } else if (contentType.startsWith('application/json')) {
+                fields = { ...fields, ...(await this.readJsonBody(req)) };
+            } else if (parseInt(req.headers['content-length'], 10) > 0 || req.headers['transfer-encoding']) {
+                // Raw body - the file name comes from ?filename= or the X-File-Name header
+                fileName = path.basename(String(fields.filename || req.headers['x-file-name'] || '').replace(/\\/g, '/'));
+                if (!fileName || !path.extname(fileName)) {
+                    throw this.httpError(400, 'Raw uploads need a file name with extension (?filename= or X-File-Name)');
+                }
+                await fs.promises.mkdir(uploadDir, { recursive: true });
+                uploadPath = path.join(uploadDir, fileName);
+                await this.saveRequestBody(req, uploadPath, maxBytes);
+            }
+
+            const options = {
+                name: fields.name || (fileName ? path.basename(fileName, path.extname(fileName)) : undefined),
+                website: fields.url || undefined,
+                tags: this.parseList(fields.tags),
+                folders: this.parseList(fields.folders || fields.folder),
+                annotation: fields.annotation || undefined
+            };
+
+            let itemId;
+            if (uploadPath) {
+                itemId = await eagle.item.addFromPath(uploadPath, options);
+            } else if (fields.url) {
+                await this.checkImportUrl(fields.url);
+                itemId = await eagle.item.addFromURL(fields.url, options);
+            } else {
+                throw this.httpError(400, 'Send a file (multipart or raw body) or a source url');
+            }
+
+            this.log('info', `Imported item ${itemId} via HTTP`);
+            this.markIndexStale();
+            const file = await this.loadFileById(itemId);
+            this.sendJSON(res, 201, {
+                success: true,
+                data: file ? this.toFileDetails(file) : { id: itemId }
+            }, { Location: `${this.basePath === '/' ? '' : this.basePath}/files/${itemId}` });
+        } finally {
+            // Eagle copies the file into the library, the upload itself is no longer needed
+            await fs.promises.rm(uploadDir, { recursive: true, force: true });
+        }
+    }
+
+    async handleUpdateFile(req, res, fileId) {
+        const changes = await this.readJsonBody(req);
+        const item = await eagle.item.getById(fileId);
+
+        if (!item) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        if (changes.name !== undefined) {
+            if (typeof changes.name !== 'string' || !changes.name.trim()) {
+                throw this.httpError(400, 'name must be a non-empty string');
+            }
+            item.name = changes.name.trim();
+        }
+        if (changes.tags !== undefined) {
+            item.tags = this.parseList(changes.tags);
+        }
+        if (changes.annotation !== undefined) {
+            item.annotation = String(changes.annotation);
+        }
+        // "rating" is accepted as an alias of Eagle's star rating
+        const star = changes.star !== undefined ? changes.star : changes.rating;
+        if (star !== undefined) {
+            if (!Number.isInteger(star) || star < 0 || star > 5) {
+                throw this.httpError(400, 'star must be a whole number from 0 to 5');
+            }
+            item.star = star;
+        }
+        if (changes.folders !== undefined) {
+            item.folders = this.parseList(changes.folders);
+        }
+
+        await item.save();
+        this.log('info', `Updated item ${fileId} via HTTP`);
+        this.markIndexStale();
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: this.toFileDetails(this.convertEagleItemToFile(item))
+        });
+    }
+
+    async handleDeleteFile(req, res, fileId) {
+        const item = await eagle.item.getById(fileId);
+
+        if (!item) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        await item.moveToTrash();
+        this.log('info', `Moved item ${fileId} to trash via HTTP`);
+        this.markIndexStale();
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: { id: fileId, trashed: true }
+        });
+    }
+
+    // Endpoints the server supports, as shown by / and /info
+    getEndpoints() {
+        const endpoints = {};
+        for (const route of this.routes) {
+            const query = route.query.map(name => `${name}=`).join('&');
+            endpoints[route.name] = route.path.replace(/:(\w+)/g, '{$1}') + (query ? `?${query}` : '');
+        }
+        return endpoints;
+    }
+
+    // Settings that are safe to show to clients (no keys or secrets)
+    getPublicConfig() {
+        const { apiKeys, signingSecret, libraries, tlsCert, tlsKey, ...config } = this.getConfig();
+        return {
+            ...config,
+            apiKeyCount: apiKeys.length,
+            libraries: libraries.map(library => library.name),
+            tlsCertificate: tlsCert ? 'custom' : 'self-signed'
+        };
+    }
+
+    // Plugin manifest as shipped with the plugin
+    async readManifest() {
+        const manifestPath = path.join(eagle.plugin.path, 'manifest.json');
+        return JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    }
+
+    // Number of items in the library, or null if Eagle can't tell us. The index already knows it;
+    // asking Eagle would scan the whole library on every health probe.
+    async countItems() {
+        if (this.index.ready) {
+            return this.index.files.size;
+        }
+        if (typeof eagle.item.countAll === 'function') {
+            return await eagle.item.countAll();
+        }
+        const items = await eagle.item.getAll();
+        return items.length;
+    }
+
+    async handleMetrics(req, res) {
+        this.sendBody(res, 200, Buffer.from(this.renderMetrics()), {
+            'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+    }
+
+    async handleHealth(req, res) {
+        let eagleApi = { ok: true, error: null };
+        let itemCount = null;
+
+        try {
+            itemCount = await this.countItems();
+        } catch (error) {
+            this.log('warn', 'Health check: Eagle API did not respond:', error.message);
+            eagleApi = { ok: false, error: this.redactPaths(error.message) };
+        }
+
+        const httpsStatus = !this.https ? 'off' : this.httpsError ? 'unavailable' : 'ok';
+        const healthy = eagleApi.ok && !!this.eagleDataPath && httpsStatus !== 'unavailable';
+
+        this.sendJSON(res, healthy ? 200 : 503, {
+            success: healthy,
+            data: {
+                status: healthy ? 'ok' : 'degraded',
+                uptime: this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0,
+                libraryName: (this.eagleDataPath && eagle.library.name) || null,
+                // The path only goes to clients that had to show an API key to get here
+                libraryPath: this.requireAuth ? this.eagleDataPath || null : null,
+                eagleApi: eagleApi.ok ? 'ok' : 'unavailable',
+                eagleApiError: eagleApi.error,
+                https: httpsStatus,
+                httpsError: this.httpsError ? this.redactPaths(this.httpsError) : null,
+                itemCount: itemCount
+            }
+        });
+    }
+
+    async handleInfo(req, res) {
+        const manifest = await this.readManifest();
 
-            // Set appropriate headers
-            const mimeType = this.getMimeType(filePath);
-            res.setHeader('Content-Type', mimeType);
-            res.setHeader('Content-Disposition', `inline; filename="${path.basename(filePath)}"`);
-            res.setHeader('Cache-Control', 'public, max-age=3600');
-
-            // Stream the file
-            const fileStream = fs.createReadStream(filePath);
-            fileStream.pipe(res);
-
-            fileStream.on('error', (error) => {
-                console.error('Error streaming file:', error);
-                console.error('File path:', filePath);
-                console.error('Error code:', error.code);
-                if (!res.headersSent) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ 
-                        success: false, 
-                        error: 'Error reading file',
-                        details: error.message,
-                        code: error.code
-                    }));
+        this.sendJSON(res, 200, {
+            success: true,
+            data: {
+                name: manifest.name,
+                version: manifest.version,
+                eagleVersion: eagle.app.version || null,
+                config: this.getPublicConfig(),
+                endpoints: this.getEndpoints()
+            }
+        });
+    }
+
+    async handleLibraries(req, res) {
+        this.sendJSON(res, 200, {
+            success: true,
+            data: {
+                current: eagle.library.name || null,
+                libraries: this.libraries.map(library => ({
+                    name: library.name,
+                    open: this.isOpenLibrary(library.path),
+                    available: fs.existsSync(path.join(library.path, 'metadata.json'))
+                }))
+            }
+        });
+    }
+
+    isOpenLibrary(libraryPath) {
+        if (!this.eagleDataPath) return false;
+        try {
+            return fs.realpathSync(libraryPath) === fs.realpathSync(this.eagleDataPath);
+        } catch (error) {
+            return path.resolve(libraryPath) === path.resolve(this.eagleDataPath);
+        }
+    }
+
+    // Server for /lib/<name>: this one while that library is open in Eagle, otherwise a view reading
+    // the library folder. Views are dropped when the settings change or Eagle switches libraries.
+    getLibraryView(library) {
+        if (!this.libraryViews.has(library.name)) {
+            const view = this.isOpenLibrary(library.path) ? this : this.createLibraryView(library);
+            this.libraryViews.set(library.name, view);
+        }
+        return this.libraryViews.get(library.name);
+    }
+
+    // A read-only server over a library folder. It shares the settings and resize cache, and has its
+    // own index, so the usual handlers work unchanged on data read from disk.
+    createLibraryView(library) {
+        const view = new EagleFileServer();
+        view.libraryName = library.name;
+        view.eagleDataPath = library.path;
+        view.dataPath = this.dataPath;
+        view.metrics = this.metrics;
+        // Renders share the cache directory, so they share its bookkeeping too
+        view.pendingResizes = this.pendingResizes;
+        view.resizeReads = this.resizeReads;
+        view.source = view.instrumentSource(view.createDiskSource(library.path), 'disk');
+        view.applyConfig(this.getConfig());
+        this.log('info', `Serving library ${library.name} from disk under /lib/${library.name}`);
+        return view;
+    }
+
+    // Stand-in for the parts of the eagle API the server reads, backed by a library folder: the
+    // library's metadata.json for folders and tag groups, images/<id>.info/metadata.json for items
+    createDiskSource(libraryPath) {
+        const imagesPath = path.join(libraryPath, 'images');
+        const readJson = async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        const readLibrary = () => readJson(path.join(libraryPath, 'metadata.json')).catch(() => ({}));
+
+        const readItem = async (id) => {
+            if (!this.isValidItemId(id)) return null;
+            const itemDir = path.join(imagesPath, `${id}.info`);
+            try {
+                const item = await readJson(path.join(itemDir, 'metadata.json'));
+                // The file is normally <name>.<ext>, but Eagle shortens or cleans up some names
+                const fileNames = await fs.promises.readdir(itemDir);
+                const fileName = fileNames.includes(`${item.name}.${item.ext}`)
+                    ? `${item.name}.${item.ext}`
+                    : fileNames.find(name => name.toLowerCase().endsWith(`.${String(item.ext).toLowerCase()}`) &&
+                        !name.endsWith('_thumbnail.png'));
+                return {
+                    ...item,
+                    id,
+                    filePath: fileName ? path.join(itemDir, fileName) : null,
+                    importedAt: item.importedAt || item.btime,
+                    modifiedAt: item.modifiedAt || item.modificationTime || item.lastModified || item.mtime
+                };
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const readItems = async (ids) => {
+            const items = [];
+            // A few at a time - large libraries have tens of thousands of folders
+            for (let i = 0; i < ids.length; i += 64) {
+                items.push(...await Promise.all(ids.slice(i, i + 64).map(readItem)));
+            }
+            return items.filter(item => item && !item.isDeleted);
+        };
+
+        const readAllItems = async () => {
+            const names = await fs.promises.readdir(imagesPath).catch(() => []);
+            return readItems(names.filter(name => name.endsWith('.info')).map(name => name.slice(0, -5)));
+        };
+
+        return {
+            item: {
+                getById: async (id) => {
+                    const item = await readItem(id);
+                    return item && !item.isDeleted ? item : null;
+                },
+                getAll: readAllItems,
+                // The subset of eagle.item.get() queries the server makes
+                get: async (query = {}) => {
+                    const items = query.ids ? await readItems(query.ids) : await readAllItems();
+                    const keywords = (query.keywords || []).map(keyword => keyword.toLowerCase());
+                    return items.filter(item =>
+                        (!query.ext || item.ext === query.ext) &&
+                        (!query.tags || query.tags.every(tag => (item.tags || []).includes(tag))) &&
+                        (!query.folders || query.folders.some(folder => (item.folders || []).includes(folder))) &&
+                        keywords.every(keyword => (item.name || '').toLowerCase().includes(keyword)));
                 }
-            });
+            },
+            folder: {
+                getAll: async () => (await readLibrary()).folders || []
+            },
+            tag: {
+                // Counted from the view's index, which is what /tags would fall back to anyway
+                get: async () => {
+                    const counts = new Map();
+                    for (const file of await this.findFiles()) {
+                        file.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+                    }
+                    return [...counts].map(([name, count]) => ({ name, count }));
+                }
+            },
+            tagGroup: {
+                get: async () => (await readLibrary()).tagsGroups || []
+            }
+        };
+    }
+
+    // Read the list/random filters shared by /getList, /files, /getRandom and /getRandomMedia
+    // Invalid values are rejected with a 400.
+    parseFilters(searchParams) {
+        const number = (name) => {
+            const value = searchParams.get(name);
+            if (value === null || value === '') return null;
+            const parsed = Number(value);
+            if (isNaN(parsed)) throw this.httpError(400, `${name} must be a number`);
+            return parsed;
+        };
+
+        // Dates are ISO 8601 (2024-05-01, 2024-05-01T12:00:00Z) or unix milliseconds. A bare date
+        // given as an upper bound includes the whole day (UTC).
+        const date = (name, endOfDay = false) => {
+            const value = searchParams.get(name);
+            if (value === null || value === '') return null;
+            const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (isNaN(parsed)) throw this.httpError(400, `${name} must be an ISO date or unix milliseconds`);
+            return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? parsed + 86400000 - 1 : parsed;
+        };
+
+        const oneOf = (name, allowed) => {
+            const value = (searchParams.get(name) || '').toLowerCase();
+            if (value && !allowed.includes(value)) {
+                throw this.httpError(400, `${name} must be one of ${allowed.join(', ')}`);
+            }
+            return value || null;
+        };
+
+        const types = this.parseList(searchParams.get('type')).map(type => type.toLowerCase());
+        const knownTypes = ['image', 'video', 'audio', 'document', 'other'];
+        const unknownType = types.find(type => !knownTypes.includes(type));
+        if (unknownType) {
+            throw this.httpError(400, `type must be one of ${knownTypes.join(', ')}`);
+        }
+
+        const bag = searchParams.get('bag');
+        if (bag && bag.length > 128) {
+            throw this.httpError(400, 'bag must be at most 128 characters');
+        }
+
+        const cursor = searchParams.get('cursor');
+        if (cursor && searchParams.has('offset')) {
+            throw this.httpError(400, 'cursor and offset cannot be combined');
+        }
+
+        return {
+            limit: searchParams.get('limit'),
+            offset: searchParams.get('offset'),
+            orderBy: searchParams.get('orderBy'),
+            seed: this.resolveSeed(searchParams.get('seed')),
+            bag: bag || null,
+            cursor: cursor ? this.decodeCursor(cursor) : null,
+            keyword: searchParams.get('keyword'),
+            ext: searchParams.get('ext'),
+            tags: searchParams.get('tags'),
+            folders: searchParams.get('folders'),
+            tagMode: oneOf('tagMode', ['all', 'any']) || 'all',
+            excludeTags: searchParams.get('excludeTags'),
+            excludeFolders: searchParams.get('excludeFolders'),
+            type: types,
+            createdAfter: date('createdAfter'),
+            createdBefore: date('createdBefore', true),
+            modifiedAfter: date('modifiedAfter'),
+            modifiedBefore: date('modifiedBefore', true),
+            minSize: number('minSize'),
+            maxSize: number('maxSize'),
+            minWidth: number('minWidth'),
+            maxWidth: number('maxWidth'),
+            minHeight: number('minHeight'),
+            maxHeight: number('maxHeight'),
+            orientation: oneOf('orientation', ['portrait', 'landscape', 'square']),
+            minStar: number('minStar'),
+            maxStar: number('maxStar'),
+            annotation: searchParams.get('annotation')
+        };
+    }
+
+    // RFC 8288 Link header pointing at the next/previous page: the request URL with the cursor swapped in
+    getPageLinkHeader(req, result) {
+        const links = [];
+        for (const rel of ['next', 'prev']) {
+            if (!result[rel]) continue;
+            const url = new URL(req.url, 'http://localhost');
+            url.searchParams.delete('offset');
+            url.searchParams.set('cursor', result[rel]);
+            links.push(`<${url.pathname}${url.search}>; rel="${rel}"`);
+        }
+        return links.length > 0 ? { Link: links.join(', ') } : {};
+    }
+
+    async handleGetList(req, res, searchParams) {
+        try {
+            const filters = this.parseFilters(searchParams);
+            const format = (searchParams.get('format') || 'json').toLowerCase();
+            if (!['json', 'ndjson'].includes(format)) {
+                throw this.httpError(400, 'format must be one of json, ndjson');
+            }
+
+            if (format === 'ndjson') {
+                // One file per line; the page details go in headers
+                const result = await this.getFileList(filters, EagleFileServer.MAX_NDJSON_LIMIT);
+                await this.sendNdjson(res, result.files, {
+                    'X-Total-Count': result.total,
+                    ...this.getPageLinkHeader(req, result)
+                });
+                return;
+            }
+
+            const result = await this.getFileList(filters);
+
+            this.sendJSON(res, 200, {
+                success: true,
+                data: result
+            }, this.getPageLinkHeader(req, result));
         } catch (error) {
-            console.error('Error handling getRandomMedia:', error);
-            if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: false,
-                    error: 'Internal server error',
-                    details: error.message
-                }));
+            if (error.statusCode) throw error;
+            this.log('error', 'Error handling getList:', error);
+            const errorMessage = error.message || 'Internal server error';
+            const statusCode = errorMessage.includes('not accessible') || errorMessage.includes('not configured') ? 503 : 500;
+            this.sendError(res, statusCode, errorMessage);
+        }
+    }
+
+    // Split a search query into clauses: words, "quoted phrases", -exclusions and tag:/folder:/ext: prefixes
+    parseSearchQuery(q) {
+        const clauses = [];
+        const pattern = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+        let match;
+        while ((match = pattern.exec(q)) !== null) {
+            const [token, minus, prefix, quoted, word] = match;
+            let field = prefix ? prefix.toLowerCase() : 'text';
+            let raw = quoted !== undefined ? quoted : word.replace(/"/g, '');
+            if (!['text', 'tag', 'folder', 'ext'].includes(field)) {
+                // Not a known prefix (e.g. a URL) - search for the whole token
+                field = 'text';
+                raw = token.slice(minus.length).replace(/"/g, '');
+            }
+            raw = raw.trim();
+            if (!raw) continue;
+            clauses.push({
+                field,
+                raw,
+                value: field === 'ext' ? raw.toLowerCase().replace(/^\./, '') : raw.toLowerCase(),
+                negate: minus === '-'
+            });
+        }
+        return clauses;
+    }
+
+    // Relevance of a file for the parsed query, or null when it doesn't match. Text terms must each
+    // appear in one of the fields; matches in the name count most, whole-word and exact matches more.
+    scoreSearchMatch(file, clauses, folderNames) {
+        const item = file.metadata || {};
+        const fields = [
+            { name: 'name', weight: 10, values: [file.name] },
+            { name: 'tags', weight: 6, values: file.tags },
+            { name: 'folders', weight: 4, values: file.folders.map(id => folderNames.get(id)).filter(Boolean) },
+            { name: 'annotation', weight: 3, values: [item.annotation] },
+            { name: 'url', weight: 1, values: [item.url] }
+        ];
+
+        let score = 0;
+        for (const clause of clauses) {
+            let matched;
+            let clauseScore = 0;
+            if (clause.field === 'tag') {
+                matched = file.tags.some(tag => tag.toLowerCase() === clause.value);
+            } else if (clause.field === 'folder') {
+                matched = file.folders.some(id => id === clause.raw ||
+                    (folderNames.get(id) || '').toLowerCase() === clause.value);
+            } else if (clause.field === 'ext') {
+                matched = file.ext === clause.value;
+            } else {
+                for (const field of fields) {
+                    let best = 0;
+                    for (const value of field.values) {
+                        const text = (value || '').toLowerCase();
+                        const position = text.indexOf(clause.value);
+                        if (position === -1) continue;
+                        const wordStart = position === 0 || /\W/.test(text[position - 1]);
+                        best = Math.max(best, text === clause.value ? 3 : wordStart ? 2 : 1);
+                    }
+                    clauseScore += field.weight * best;
+                }
+                matched = clauseScore > 0;
+            }
+
+            if (matched === clause.negate) return null;
+            score += clauseScore;
+        }
+        return { score, fields };
+    }
+
+    // Snippet of text with the search terms wrapped in <mark> (HTML-escaped), trimmed around the first match
+    buildSearchSnippet(text, terms) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+        for (const term of terms) {
+            for (let position = lower.indexOf(term); position !== -1; position = lower.indexOf(term, position + term.length)) {
+                ranges.push([position, position + term.length]);
+            }
+        }
+        if (ranges.length === 0) return null;
+
+        // Merge overlapping matches
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        for (const [start, end] of ranges.slice(1)) {
+            const last = merged[merged.length - 1];
+            if (start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+        }
+
+        const context = EagleFileServer.SEARCH_SNIPPET_CONTEXT;
+        const windowStart = Math.max(0, merged[0][0] - context);
+        const windowEnd = Math.min(text.length, merged[0][1] + context * 2);
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        const escape = value => value.replace(/[&<>"']/g, char => entities[char]);
+
+        let snippet = windowStart > 0 ? '…' : '';
+        let cursor = windowStart;
+        for (const [start, end] of merged) {
+            if (start >= windowEnd) break;
+            snippet += escape(text.slice(cursor, start)) + `<mark>${escape(text.slice(start, Math.min(end, windowEnd)))}</mark>`;
+            cursor = Math.min(end, windowEnd);
+        }
+        snippet += escape(text.slice(cursor, windowEnd)) + (windowEnd < text.length ? '…' : '');
+        return snippet;
+    }
+
+    // Ranked search over the (filtered) library, in the same shape as getFileList
+    async searchFiles(q, filters = {}) {
+        const clauses = this.parseSearchQuery(q);
+        if (clauses.length === 0) {
+            throw this.httpError(400, 'q must contain at least one search term');
+        }
+        const limit = this.resolveLimit(filters.limit);
+        const offset = this.resolveOffset(filters.offset);
+
+        const needsFolders = clauses.some(clause => clause.field !== 'tag' && clause.field !== 'ext');
+        const folderNames = new Map();
+        if (needsFolders) {
+            const { byId } = this.collectFolders(await this.source.folder.getAll());
+            byId.forEach((folder, id) => folderNames.set(id, folder.name || ''));
+        }
+
+        const terms = clauses.filter(clause => clause.field === 'text' && !clause.negate).map(clause => clause.value);
+        const results = [];
+        for (const file of await this.findFiles(filters)) {
+            const match = this.scoreSearchMatch(file, clauses, folderNames);
+            if (match) results.push({ file, ...match });
+        }
+        results.sort((a, b) => (b.score - a.score) || a.file.name.localeCompare(b.file.name) ||
+            (a.file.id < b.file.id ? -1 : a.file.id > b.file.id ? 1 : 0));
+
+        return {
+            files: results.slice(offset, offset + limit).map(({ file, score, fields }) => {
+                const highlights = [];
+                for (const field of fields) {
+                    for (const value of field.values) {
+                        const snippet = value ? this.buildSearchSnippet(value, terms) : null;
+                        if (snippet) highlights.push({ field: field.name, snippet });
+                    }
+                }
+                return { ...this.toFileInfo(file), score, highlights };
+            }),
+            total: results.length,
+            limit: limit,
+            offset: offset
+        };
+    }
+
+    async handleSearch(req, res, searchParams) {
+        const q = searchParams.get('q') || '';
+        if (q.length > EagleFileServer.SEARCH_MAX_QUERY_LENGTH) {
+            throw this.httpError(400, `q must be at most ${EagleFileServer.SEARCH_MAX_QUERY_LENGTH} characters`);
+        }
+        if (searchParams.has('cursor')) {
+            throw this.httpError(400, 'Search results are paged with offset');
+        }
+
+        const filters = this.parseFilters(searchParams);
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: await this.searchFiles(q, filters)
+        });
+    }
+
+    // Folder id -> 'Parent/Child' path of names, for the folders archive layout
+    async getFolderPaths() {
+        const { byId } = this.collectFolders(await this.source.folder.getAll());
+        const parents = new Map();
+        byId.forEach(folder => (folder.children || []).forEach(child => parents.set(child.id, folder.id)));
+
+        const paths = new Map();
+        const resolve = (id, seen = new Set()) => {
+            if (paths.has(id)) return paths.get(id);
+            const folder = byId.get(id);
+            if (!folder || seen.has(id)) return '';
+            seen.add(id);
+            const parentId = parents.get(id) || folder.parent;
+            const parentPath = parentId ? resolve(parentId, seen) : '';
+            const name = this.sanitizeEntryName(folder.name || id);
+            const folderPath = parentPath ? `${parentPath}/${name}` : name;
+            paths.set(id, folderPath);
+            return folderPath;
+        };
+        byId.forEach((folder, id) => resolve(id));
+        return paths;
+    }
+
+    // One path segment that is safe on every file system
+    sanitizeEntryName(name) {
+        const cleaned = String(name).replace(/[\x00-\x1f\\/:*?"<>|]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '').trim();
+        return cleaned.slice(0, 200) || 'untitled';
+    }
+
+    // Archive entry names, made unique (case-insensitively) with " (2)", " (3)", ...
+    buildArchiveEntries(files, layout, folderPaths, reservedNames = []) {
+        // Reserved names (the manifest) are taken before any file is named
+        const used = new Set(reservedNames.map(name => name.toLowerCase()));
+        return files.map(file => {
+            const directory = layout === 'folders' && file.folders.length > 0
+                ? folderPaths.get(file.folders[0]) || ''
+                : '';
+            const baseName = this.sanitizeEntryName(file.name || file.id);
+            const extension = file.ext ? `.${file.ext}` : '';
+
+            let name;
+            for (let copy = 1; !name || used.has(name.toLowerCase()); copy++) {
+                const fileName = copy === 1 ? `${baseName}${extension}` : `${baseName} (${copy})${extension}`;
+                name = directory ? `${directory}/${fileName}` : fileName;
+            }
+            used.add(name.toLowerCase());
+            return { name, file };
+        });
+    }
+
+    crc32(buffer, crc = 0) {
+        let table = EagleFileServer.crcTable;
+        if (!table) {
+            table = EagleFileServer.crcTable = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                table[n] = c;
+            }
+        }
+        crc = ~crc;
+        for (let i = 0; i < buffer.length; i++) {
+            crc = table[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return ~crc >>> 0;
+    }
+
+    // Zip records. Entries are stored uncompressed (media files don't shrink) with UTF-8 names and a
+    // data descriptor after the data, so the CRC can be computed while streaming.
+    zipLocalHeader(entry) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed
+        header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(entry.dosTime, 10);
+        header.writeUInt16LE(entry.dosDate, 12);
+        header.writeUInt16LE(entry.nameBytes.length, 26);
+        return Buffer.concat([header, entry.nameBytes]);
+    }
+
+    zipDataDescriptor(entry) {
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.size, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        return descriptor;
+    }
+
+    zipCentralHeader(entry) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6); // version needed
+        header.writeUInt16LE(0x0808, 8);
+        header.writeUInt16LE(0, 10);
+        header.writeUInt16LE(entry.dosTime, 12);
+        header.writeUInt16LE(entry.dosDate, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.size, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.nameBytes.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([header, entry.nameBytes]);
+    }
+
+    zipEnd(count, centralSize, centralOffset) {
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(count, 8);
+        end.writeUInt16LE(count, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(centralOffset, 16);
+        return end;
+    }
+
+    toDosDateTime(date) {
+        const year = Math.min(2107, Math.max(1980, date.getFullYear()));
+        return {
+            dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Files for /archive.zip: an explicit ids= list, or everything matching the list filters
+    async findArchiveFiles(searchParams, filters) {
+        const ids = this.parseList(searchParams.get('ids'));
+        if (ids.length === 0) {
+            return await this.findSortedFiles({ ...filters, orderBy: filters.orderBy || 'name' });
+        }
+        if (ids.length > this.maxArchiveFiles) {
+            throw this.httpError(413, `Archives are limited to ${this.maxArchiveFiles} files`);
+        }
+
+        const files = [];
+        for (const id of new Set(ids)) {
+            if (!this.isValidItemId(id)) throw this.httpError(400, `Invalid file ID: ${id}`);
+            const file = (await this.ensureIndex() && this.index.files.get(id)) || await this.loadFileById(id);
+            if (!file) throw this.httpError(404, `File not found: ${id}`);
+            files.push(file);
+        }
+        return files;
+    }
+
+    // Stream a zip of the selected files. Nothing is written to disk: sizes are known up front, so the
+    // exact Content-Length is sent and the CRCs follow each entry's data.
+    async handleArchive(req, res, searchParams) {
+        if (!this.eagleDataPath) {
+            this.sendError(res, 503, 'Library path not configured');
+            return;
+        }
+
+        const filters = this.parseFilters(searchParams);
+        const layout = (searchParams.get('layout') || 'flat').toLowerCase();
+        if (!['flat', 'folders'].includes(layout)) {
+            throw this.httpError(400, 'layout must be one of flat, folders');
+        }
+        const withManifest = ['1', 'true'].includes(searchParams.get('manifest'));
+
+        const files = await this.findArchiveFiles(searchParams, filters);
+        if (files.length === 0) {
+            this.sendError(res, 404, 'No matching files found');
+            return;
+        }
+        if (files.length > this.maxArchiveFiles) {
+            throw this.httpError(413, `${files.length} files match; archives are limited to ${this.maxArchiveFiles} files`);
+        }
+
+        // Skip items whose file is missing on disk or outside the library
+        const folderPaths = layout === 'folders' ? await this.getFolderPaths() : new Map();
+        const entries = [];
+        let totalSize = 0;
+        for (const entry of this.buildArchiveEntries(files, layout, folderPaths, withManifest ? ['metadata.json'] : [])) {
+            const realPath = await this.resolveConfinedPath(entry.file.path);
+            const stat = realPath && await fs.promises.stat(realPath).catch(() => null);
+            if (!stat || !stat.isFile()) {
+                this.log('debug', `Archive: skipping ${entry.file.id}, file not found`);
+                continue;
+            }
+            entries.push({ ...entry, path: realPath, size: stat.size, modified: stat.mtime });
+            totalSize += stat.size;
+        }
+        if (totalSize > this.maxArchiveSize * 1024 * 1024) {
+            throw this.httpError(413, `Archive would be ${Math.ceil(totalSize / 1024 / 1024)} MB; the limit is ${this.maxArchiveSize} MB`);
+        }
+
+        if (withManifest) {
+            const manifest = Buffer.from(JSON.stringify({
+                created: new Date().toISOString(),
+                files: entries.map(entry => ({ path: entry.name, ...this.toFileDetails(entry.file) }))
+            }, null, 2));
+            entries.unshift({ name: 'metadata.json', data: manifest, size: manifest.length, modified: new Date() });
+        }
+
+        // Lay out the archive so its length is known before streaming
+        let offset = 0;
+        for (const entry of entries) {
+            Object.assign(entry, this.toDosDateTime(entry.modified), { nameBytes: Buffer.from(entry.name), offset, crc: 0 });
+            offset += 30 + entry.nameBytes.length + entry.size + 16;
+        }
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+        const totalLength = offset + centralSize + 22;
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.writeHead(200, {
+            'Content-Type': 'application/zip',
+            'Content-Length': totalLength,
+            'Content-Disposition': this.contentDisposition(`eagle-${date}.zip`, true),
+            'Cache-Control': 'no-store'
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        let aborted = false;
+        let activeStream = null;
+        res.on('close', () => {
+            if (res.writableFinished) return;
+            aborted = true;
+            if (activeStream) activeStream.destroy();
+        });
+
+        // Respect backpressure; resolves false when the client went away
+        const write = (chunk) => new Promise(resolve => {
+            if (aborted) return resolve(false);
+            if (res.write(chunk)) return resolve(true);
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve(!aborted);
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+
+        for (const entry of entries) {
+            if (!await write(this.zipLocalHeader(entry))) return;
+
+            if (entry.data) {
+                entry.crc = this.crc32(entry.data);
+                if (!await write(entry.data)) return;
+            } else if (entry.size > 0) {
+                let written = 0;
+                activeStream = fs.createReadStream(entry.path, { start: 0, end: entry.size - 1 });
+                try {
+                    for await (const chunk of activeStream) {
+                        entry.crc = this.crc32(chunk, entry.crc);
+                        written += chunk.length;
+                        if (!await write(chunk)) return;
+                    }
+                } catch (error) {
+                    if (aborted) return;
+                    this.log('error', `Archive: failed reading ${entry.file.id}:`, error.message);
+                }
+                activeStream = null;
+                if (written !== entry.size) {
+                    // The file changed while streaming - the promised length can't be kept
+                    this.log('error', `Archive: ${entry.file.id} changed size while streaming, aborting`);
+                    res.destroy();
+                    return;
+                }
             }
+
+            if (!await write(this.zipDataDescriptor(entry))) return;
+        }
+
+        const central = Buffer.concat(entries.map(entry => this.zipCentralHeader(entry)));
+        if (!await write(central)) return;
+        res.end(this.zipEnd(entries.length, centralSize, offset));
+        this.log('info', `Archive: sent ${entries.length} files (${totalLength} bytes)`);
+    }
+
+    async handleGetRandom(req, res, searchParams) {
+        const filters = this.parseFilters(searchParams);
+
+        const file = await this.getRandomFile(filters);
+
+        if (!file) {
+            this.sendError(res, 404, 'No matching files found');
+            return;
+        }
+
+        this.sendJSON(res, 200, {
+            success: true,
+            data: file
+        });
+    }
+
+    async handleGetRandomMedia(req, res, searchParams) {
+        if (!this.eagleDataPath) {
+            this.sendError(res, 503, 'Library path not configured');
+            return;
+        }
+
+        const filters = this.parseFilters(searchParams);
+
+        // Get a random file ID
+        const randomId = await this.getRandomFileId(filters);
+
+        if (!randomId) {
+            this.sendError(res, 404, 'No matching files found');
+            return;
+        }
+
+        // Load and stream the file (same as handleFileById)
+        const file = await this.loadFileById(randomId);
+
+        if (!file) {
+            this.sendError(res, 404, 'File not found');
+            return;
         }
+
+        await this.sendFile(req, res, file);
     }
 
 
     stopServer() {
-        if (this.server) {
-            this.server.close();
-            this.isRunning = false;
-            console.log('Eagle File Server stopped');
+        if (this.servers.length === 0) {
+            return Promise.resolve();
         }
+
+        const servers = this.servers;
+        this.servers = [];
+        this.isRunning = false;
+
+        return Promise.all(servers.map(server => new Promise(resolve => {
+            // A listener that failed to start is already closed
+            if (!server.listening) {
+                resolve();
+                return;
+            }
+            server.close(() => resolve());
+            // Don't let keep-alive or streaming connections hold the old listener open
+            if (server.closeAllConnections) server.closeAllConnections();
+        }))).then(() => this.log('info', 'Eagle File Server stopped'));
     }
 
 }
 
+EagleFileServer.DEFAULT_CONFIG = Object.freeze({
+    port: 8080,
+    host: '', // all interfaces
+    https: false, // serve over HTTPS on httpsPort
+    httpsPort: 8443,
+    httpMode: 'serve', // plain HTTP on port while HTTPS is on: serve, redirect (to HTTPS) or off
+    tlsCert: '', // PEM certificate (chain) and key files; empty uses a generated self-signed certificate
+    tlsKey: '',
+    basePath: '/',
+    corsOrigins: ['*'],
+    cacheMaxAge: 3600, // seconds file responses may be cached before revalidating
+    defaultListLimit: 100,
+    requireAuth: false,
+    apiKeys: [], // [{ id, name, key, created }]
+    signingSecret: null, // HMAC secret for signed links, generated on first load
+    signedUrlTTL: 7 * 24 * 60 * 60, // seconds a copied signed link stays valid
+    allowWrites: false, // enables POST/PATCH/DELETE on /files
+    maxUploadSize: 100, // megabytes
+    maxArchiveSize: 2048, // megabytes of file data in one /archive.zip
+    maxArchiveFiles: 5000, // files in one /archive.zip
+    galleryPath: '/gallery', // web gallery location below basePath, '' disables it
+    allowPathUrls: false, // enables /by-path/<folder>/<name>, which reveals folder names to anyone with access
+    libraries: [], // [{ name, path }] library folders served read-only under /lib/<name>
+    logLevel: 'info', // diagnostics in Eagle's devtools console: error, warn, info or debug
+    accessLog: true // one JSON line per request in logs/access.log in the plugin data directory
+});
+
+// Networks URL imports may not fetch from (see checkImportUrl)
+EagleFileServer.PRIVATE_NETWORKS = Object.freeze([
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]);
+
+// How long windows other than the server's wait for it to create config.json
+EagleFileServer.CONFIG_WAIT_ATTEMPTS = 10;
+EagleFileServer.CONFIG_WAIT_INTERVAL = 500;
+
+// Self-signed certificates: validity (Apple platforms reject server certificates valid longer
+// than 825 days) and how long before expiry a new one is issued
+EagleFileServer.CERTIFICATE_LIFETIME = 825 * 24 * 60 * 60 * 1000;
+EagleFileServer.CERTIFICATE_RENEW_BEFORE = 30 * 24 * 60 * 60 * 1000;
+
+// Link formats offered by the inspector (value -> label); thumbnail copies the thumbnail URL
+EagleFileServer.LINK_FORMATS = Object.freeze({
+    url: 'URL',
+    markdown: 'Markdown',
+    obsidian: 'Obsidian embed',
+    html: 'HTML',
+    bbcode: 'BBCode',
+    thumbnail: 'Thumbnail URL'
+});
+
+// Item index timing (milliseconds) and the point where a full rebuild beats fetching changes
+EagleFileServer.INDEX_CHECK_INTERVAL = 2000;
+EagleFileServer.INDEX_POLL_INTERVAL = 60000; // full rebuild interval for libraries without mtime.json
+EagleFileServer.INDEX_MAX_INCREMENTAL = 5000;
+
+// /events: events kept for Last-Event-ID resume, and how often idle streams send a keepalive (ms)
+EagleFileServer.EVENT_HISTORY = 1000;
+EagleFileServer.EVENT_HEARTBEAT_INTERVAL = 25000;
+
+// /search limits: query length, and characters of context around the first match in a snippet
+EagleFileServer.SEARCH_MAX_QUERY_LENGTH = 500;
+EagleFileServer.SEARCH_SNIPPET_CONTEXT = 40;
+
+// Eagle item IDs are 13 upper-case letters and digits; the length is left loose for older libraries,
+// the alphabet is what keeps IDs out of paths
+EagleFileServer.ITEM_ID_PATTERN = /^[A-Za-z0-9]{4,32}$/;
+
+// Content types that can run scripts when opened directly; served with a locked-down CSP
+EagleFileServer.ACTIVE_CONTENT_TYPES = Object.freeze([
+    'image/svg+xml',
+    'text/html',
+    'application/xhtml+xml',
+    'application/xml',
+    'text/xml'
+]);
+
+// Compressed with br or gzip besides text/* (see isCompressible); smaller bodies are sent as they are
+EagleFileServer.COMPRESSIBLE_TYPES = Object.freeze([
+    'application/json',
+    'application/x-ndjson',
+    'application/javascript',
+    'application/xml',
+    'application/xhtml+xml',
+    'application/rtf',
+    'image/svg+xml',
+    'image/bmp'
+]);
+EagleFileServer.COMPRESSION_MIN_SIZE = 1024;
+EagleFileServer.BROTLI_QUALITY = 5;
+
+// Console log levels, most severe first
+EagleFileServer.LOG_LEVELS = Object.freeze({ error: 0, warn: 1, info: 2, debug: 3 });
+
+// Access log rotation: size of logs/access.log that triggers it, and rotated files kept
+EagleFileServer.ACCESS_LOG_MAX_SIZE = 10 * 1024 * 1024;
+EagleFileServer.ACCESS_LOG_FILES = 5;
+
+// /metrics series (without the eagle_file_server_ prefix) and histogram buckets in seconds
+EagleFileServer.METRICS = Object.freeze({
+    http_requests_total: { type: 'counter', help: 'HTTP requests by route, method and status' },
+    http_request_duration_seconds: { type: 'histogram', help: 'Time from request to the last byte sent, by route (event streams excluded)' },
+    http_response_bytes_total: { type: 'counter', help: 'Response body bytes sent, by route' },
+    eagle_api_duration_seconds: { type: 'histogram', help: 'Time spent in Eagle API calls, or reading a /lib library from disk' },
+    cache_lookups_total: { type: 'counter', help: 'Lookups in the item index, sorted views and resize cache, by result' },
+    index_items: { type: 'gauge', help: 'Items in the index of the open library' },
+    event_clients: { type: 'gauge', help: 'Connected /events subscribers' },
+    uptime_seconds: { type: 'gauge', help: 'Seconds since the server started listening' }
+});
+EagleFileServer.METRIC_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+// Routes a /lib/<name> view of a library that isn't open in Eagle answers - reading only
+EagleFileServer.LIBRARY_ROUTES = Object.freeze([
+    'files', 'fileById', 'thumbnail', 'fileInfo', 'fileByName', 'fileByPath', 'folders', 'tags',
+    'indexStats', 'getList', 'search', 'archive', 'getRandom', 'getRandomMedia'
+]);
+
+// Largest page /getList and /files return
+EagleFileServer.MAX_LIST_LIMIT = 1000;
+// ... and with format=ndjson, which streams the page in chunks
+EagleFileServer.MAX_NDJSON_LIMIT = 100000;
+EagleFileServer.NDJSON_CHUNK_SIZE = 64 * 1024;
+
+// Seeded random order and shuffle bags (see findSortedFiles and drawFromBag)
+EagleFileServer.MAX_SEEDED_VIEWS = 8;
+EagleFileServer.SHUFFLE_BAG_LIMIT = 200;
+EagleFileServer.SHUFFLE_BAG_TTL = 24 * 60 * 60 * 1000;
+
+EagleFileServer.ERROR_CODES = Object.freeze({
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    416: 'range_not_satisfiable',
+    500: 'internal_error',
+    503: 'service_unavailable'
+});
+
+// Query parameters used by the route table, in OpenAPI parameter form
+EagleFileServer.QUERY_PARAMETERS = Object.freeze({
+    limit: {
+        schema: { type: 'integer', minimum: 1, maximum: EagleFileServer.MAX_NDJSON_LIMIT },
+        description: `Page size (defaults to the configured list limit). At most ${EagleFileServer.MAX_LIST_LIMIT}, ` +
+            `or ${EagleFileServer.MAX_NDJSON_LIMIT} with format=ndjson`
+    },
+    format: {
+        schema: { type: 'string', enum: ['json', 'ndjson'], default: 'json' },
+        description: 'ndjson streams one file per line (application/x-ndjson); the total and page links are sent as X-Total-Count and Link headers'
+    },
+    offset: { schema: { type: 'integer', minimum: 0 }, description: 'Number of files to skip' },
+    cursor: { schema: { type: 'string' }, description: 'Page cursor from a previous response (next or prev); replaces offset' },
+    orderBy: {
+        schema: {
+            type: 'string',
+            enum: ['random', 'name', 'name_asc', 'name_desc', 'created', 'created_asc', 'created_desc',
+                'modified', 'modified_asc', 'modified_desc', 'size', 'size_asc', 'size_desc']
+        },
+        description: 'Sort order (default random)'
+    },
+    seed: { schema: { type: 'string' }, description: 'Makes random order reproducible; "daily" changes once a day (UTC)' },
+    bag: { schema: { type: 'string' }, description: 'Client or session ID - cycles through every match before repeating' },
+    keyword: { schema: { type: 'string' }, description: 'Keyword search' },
+    q: {
+        required: true,
+        schema: { type: 'string', maxLength: 500 },
+        description: 'Search query: words, "quoted phrases", -exclusions and tag:, folder:, ext: prefixes'
+    },
+    ext: { schema: { type: 'string' }, description: 'Comma-separated file extensions' },
+    tags: { schema: { type: 'string' }, description: 'Comma-separated tag names' },
+    folders: { schema: { type: 'string' }, description: 'Comma-separated folder IDs' },
+    tagMode: { schema: { type: 'string', enum: ['all', 'any'] }, description: 'Require all tags (default) or any of them' },
+    excludeTags: { schema: { type: 'string' }, description: 'Comma-separated tags items must not have' },
+    excludeFolders: { schema: { type: 'string' }, description: 'Comma-separated folder IDs items must not be in' },
+    type: { schema: { type: 'string' }, description: 'Comma-separated file types: image, video, audio, document, other' },
+    createdAfter: { schema: { type: 'string' }, description: 'Imported at or after (ISO date or unix ms)' },
+    createdBefore: { schema: { type: 'string' }, description: 'Imported at or before (ISO date or unix ms; a bare date includes that day)' },
+    modifiedAfter: { schema: { type: 'string' }, description: 'Modified at or after (ISO date or unix ms)' },
+    modifiedBefore: { schema: { type: 'string' }, description: 'Modified at or before (ISO date or unix ms; a bare date includes that day)' },
+    minSize: { schema: { type: 'integer' }, description: 'Minimum file size in bytes' },
+    maxSize: { schema: { type: 'integer' }, description: 'Maximum file size in bytes' },
+    minWidth: { schema: { type: 'integer' }, description: 'Minimum width in pixels' },
+    maxWidth: { schema: { type: 'integer' }, description: 'Maximum width in pixels' },
+    minHeight: { schema: { type: 'integer' }, description: 'Minimum height in pixels' },
+    maxHeight: { schema: { type: 'integer' }, description: 'Maximum height in pixels' },
+    orientation: { schema: { type: 'string', enum: ['portrait', 'landscape', 'square'] }, description: 'Image orientation' },
+    minStar: { schema: { type: 'integer', minimum: 0, maximum: 5 }, description: 'Minimum star rating' },
+    maxStar: { schema: { type: 'integer', minimum: 0, maximum: 5 }, description: 'Maximum star rating' },
+    w: { schema: { type: 'integer', minimum: 1, maximum: 4096 }, description: 'Resize to this width' },
+    h: { schema: { type: 'integer', minimum: 1, maximum: 4096 }, description: 'Resize to this height' },
+    fit: { schema: { type: 'string', enum: ['contain', 'cover', 'fill'] }, description: 'How images fill the box (w x h or the screen): fit inside, crop or stretch' },
+    ids: { schema: { type: 'string' }, description: 'Comma-separated item IDs (instead of filters)' },
+    layout: { schema: { type: 'string', enum: ['flat', 'folders'] }, description: 'Put files at the top level (default) or in their Eagle folder path' },
+    manifest: { schema: { type: 'boolean' }, description: 'Add a metadata.json with every file\'s details' },
+    lastEventId: { schema: { type: 'integer' }, description: 'Resume after this event (same as the Last-Event-ID header)' },
+    interval: { schema: { type: 'integer', minimum: 1, default: 10 }, description: 'Seconds each image is shown (videos play to the end)' },
+    transition: { schema: { type: 'string', enum: ['fade', 'slide', 'none'] }, description: 'Transition between slides' },
+    order: { schema: { type: 'string', enum: ['shuffle', 'ordered'] }, description: 'Shuffle without repeats (default) or follow orderBy' },
+    caption: { schema: { type: 'string' }, description: 'Comma-separated caption parts: name, tags, annotation' },
+    muted: { schema: { type: 'boolean', default: true }, description: 'Play videos without sound' },
+    exp: { schema: { type: 'integer' }, description: 'Signed link expiry (unix seconds)' },
+    name: { schema: { type: 'string' }, description: 'Item name (raw uploads)' },
+    annotation: { schema: { type: 'string' }, description: 'Annotation text to search for (listings) or to set (raw uploads)' },
+    url: { schema: { type: 'string' }, description: 'Source URL (raw uploads)' },
+    filename: { schema: { type: 'string' }, description: 'Original file name including extension (raw uploads)' },
+    download: { schema: { type: 'string', enum: ['1', 'true', '0', 'false'] }, description: 'Send as an attachment (Content-Disposition: attachment) instead of inline' },
+    sig: { schema: { type: 'string' }, description: 'Signed link signature' }
+});
+
+// Response shapes referenced by the route table
+EagleFileServer.OPENAPI_SCHEMAS = Object.freeze({
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'code'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            code: { type: 'string' },
+            details: {}
+        }
+    },
+    File: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['image', 'video', 'audio', 'document', 'other'] },
+            size: { type: 'integer' },
+            created: { type: 'string', format: 'date-time', nullable: true },
+            modified: { type: 'string', format: 'date-time', nullable: true },
+            tags: { type: 'array', items: { type: 'string' } },
+            folders: { type: 'array', items: { type: 'string' } },
+            ext: { type: 'string' },
+            width: { type: 'integer', nullable: true },
+            height: { type: 'integer', nullable: true }
+        }
+    },
+    FileDetails: {
+        allOf: [
+            { $ref: '#/components/schemas/File' },
+            {
+                type: 'object',
+                properties: {
+                    annotation: { type: 'string' },
+                    url: { type: 'string' },
+                    star: { type: 'integer', minimum: 0, maximum: 5 },
+                    palettes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                color: { type: 'array', items: { type: 'integer' } },
+                                ratio: { type: 'number' }
+                            }
+                        }
+                    }
+                }
+            }
+        ]
+    },
+    Upload: {
+        type: 'object',
+        properties: {
+            file: { type: 'string', format: 'binary' },
+            name: { type: 'string' },
+            tags: { type: 'string', description: 'Comma-separated' },
+            folders: { type: 'string', description: 'Comma-separated folder IDs' },
+            annotation: { type: 'string' },
+            url: { type: 'string', description: 'Source URL, or the URL to import from when no file is sent' }
+        }
+    },
+    UrlImport: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string' },
+            name: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            folders: { type: 'array', items: { type: 'string' } },
+            annotation: { type: 'string' }
+        }
+    },
+    FileUpdate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            annotation: { type: 'string' },
+            star: { type: 'integer', minimum: 0, maximum: 5 },
+            folders: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    LibraryList: {
+        type: 'object',
+        properties: {
+            current: { type: 'string', nullable: true, description: 'Library open in Eagle' },
+            libraries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Serves /lib/<name>/files, /lib/<name>/getList, ...' },
+                        open: { type: 'boolean', description: 'Open in Eagle, so served live (with writes)' },
+                        available: { type: 'boolean', description: 'The library folder can be read' }
+                    }
+                }
+            }
+        }
+    },
+    Deleted: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            trashed: { type: 'boolean' }
+        }
+    },
+    IndexStats: {
+        type: 'object',
+        properties: {
+            ready: { type: 'boolean' },
+            itemCount: { type: 'integer' },
+            version: { type: 'integer' },
+            changeDetection: { type: 'string', enum: ['mtime.json', 'polling'], nullable: true },
+            builtAt: { type: 'string', format: 'date-time', nullable: true },
+            lastCheckAt: { type: 'string', format: 'date-time', nullable: true },
+            fullRebuilds: { type: 'integer' },
+            incrementalRefreshes: { type: 'integer' },
+            itemsUpdated: { type: 'integer' },
+            itemsRemoved: { type: 'integer' },
+            lastRebuildMs: { type: 'integer', nullable: true },
+            queriesFromIndex: { type: 'integer' },
+            queriesFromApi: { type: 'integer' }
+        }
+    },
+    Folder: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            itemCount: { type: 'integer' },
+            totalItemCount: { type: 'integer', description: 'Items in this folder and its subfolders' },
+            children: { type: 'array', items: { $ref: '#/components/schemas/Folder' } }
+        }
+    },
+    FolderTree: {
+        type: 'object',
+        properties: {
+            folders: { type: 'array', items: { $ref: '#/components/schemas/Folder' } }
+        }
+    },
+    TagList: {
+        type: 'object',
+        properties: {
+            tags: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        count: { type: 'integer' },
+                        color: { type: 'string', nullable: true },
+                        groups: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            },
+            groups: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        color: { type: 'string', nullable: true },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    },
+    FileList: {
+        type: 'object',
+        properties: {
+            files: { type: 'array', items: { $ref: '#/components/schemas/File' } },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            next: { type: 'string', nullable: true, description: 'Cursor for the next page (null on the last page or for unseeded random order)' },
+            prev: { type: 'string', nullable: true, description: 'Cursor for the previous page' },
+            seed: { type: 'string', description: 'Resolved seed, when seed= was given' }
+        }
+    },
+    SearchResults: {
+        type: 'object',
+        properties: {
+            files: {
+                type: 'array',
+                items: {
+                    allOf: [
+                        { $ref: '#/components/schemas/File' },
+                        {
+                            type: 'object',
+                            properties: {
+                                score: { type: 'number', description: 'Relevance, higher is better' },
+                                highlights: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', enum: ['name', 'tags', 'folders', 'annotation', 'url'] },
+                                            snippet: { type: 'string', description: 'HTML-escaped text with matches in <mark>' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' }
+        }
+    },
+    Health: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ok', 'degraded'] },
+            uptime: { type: 'integer', description: 'Seconds since the server started' },
+            libraryName: { type: 'string', nullable: true },
+            libraryPath: { type: 'string', nullable: true, description: 'Only reported when API keys are required' },
+            eagleApi: { type: 'string', enum: ['ok', 'unavailable'] },
+            eagleApiError: { type: 'string', nullable: true },
+            https: { type: 'string', enum: ['off', 'ok', 'unavailable'] },
+            httpsError: { type: 'string', nullable: true, description: 'Why the HTTPS listener is down' },
+            itemCount: { type: 'integer', nullable: true }
+        }
+    },
+    Info: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            version: { type: 'string' },
+            eagleVersion: { type: 'string', nullable: true },
+            config: { type: 'object' },
+            endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    },
+    Status: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            port: { type: 'integer' },
+            basePath: { type: 'string' },
+            endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    }
+});
+
 const fileServer = new EagleFileServer();
 
 eagle.onPluginCreate((plugin) => {});
@@ -759,7 +5275,8 @@ eagle.onPluginShow(() => {});
 eagle.onPluginHide(() => {});
 
 eagle.onPluginDestroy(async () => {
-    fileServer.stopServer();
+    if (fileServer.configPath) fs.unwatchFile(fileServer.configPath);
+    await fileServer.stopServer();
 });
 
 window.eagleFileServer = fileServer;
\ No newline at end of file